@@ -0,0 +1,77 @@
+// Claude Editor autofill helper - include it in an app to let the editor's 🔒 button log in with a
+// test account while the app runs in the preview:
+//
+//   <script src="http://localhost:3333/claude-editor-autofill.js"></script>
+//
+// Protocol: the editor posts to the preview window, targeted at the preview's origin only:
+//   { type: 'claude-editor-autofill', version: 1, account, email, password, submit }
+// The helper only accepts it from its parent window at the editor origin (the origin this script
+// was loaded from, or data-editor-origin="..." on the script tag when the file is copied into the
+// app), fills the login form and answers the editor with:
+//   { type: 'claude-editor-autofill-result', version: 1, account, filled }
+// An app can handle the fill itself by defining window.claudeEditorAutofill = (credentials) => boolean.
+(function () {
+  // The preview proxy adds the helper to every page, so the app may include it a second time
+  if (window.parent === window || window.__claudeEditorAutofillHelper) return;
+  window.__claudeEditorAutofillHelper = true;
+
+  const script = document.currentScript;
+  const editorOrigin = script?.dataset.editorOrigin || (script?.src ? new URL(script.src).origin : null);
+  if (!editorOrigin) return;
+
+  // Frameworks like React track input values, so set them through the native setter
+  function setValue(input, value) {
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+    setter.call(input, value);
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function fill(credentials) {
+    if (typeof window.claudeEditorAutofill === 'function') {
+      return window.claudeEditorAutofill(credentials) !== false;
+    }
+    const passwordInput = document.querySelector('input[type="password"]');
+    if (!passwordInput) return false;
+    const form = passwordInput.form || document;
+    const emailInput = form.querySelector('input[type="email"], input[name="email"], input[name="username"], input[autocomplete="username"]');
+    if (emailInput) setValue(emailInput, credentials.email);
+    setValue(passwordInput, credentials.password);
+
+    if (credentials.submit && passwordInput.form) {
+      // Give the framework time to process the inputs
+      setTimeout(() => {
+        const submitBtn = passwordInput.form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+        if (submitBtn) submitBtn.click();
+        else passwordInput.form.requestSubmit();
+      }, 100);
+    }
+    return true;
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || event.origin !== editorOrigin) return;
+    const data = event.data;
+    if (!data || data.type !== 'claude-editor-autofill' || data.version !== 1) return;
+
+    const reply = (filled) => window.parent.postMessage({
+      type: 'claude-editor-autofill-result', version: 1, account: data.account, filled
+    }, editorOrigin);
+
+    if (fill(data)) return reply(true);
+
+    // The login form may not be rendered yet - wait up to 5 seconds for it
+    const observer = new MutationObserver(() => {
+      if (fill(data)) {
+        observer.disconnect();
+        clearTimeout(timeout);
+        reply(true);
+      }
+    });
+    const timeout = setTimeout(() => {
+      observer.disconnect();
+      reply(false);
+    }, 5000);
+    observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
+  });
+})();
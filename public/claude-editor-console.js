@@ -0,0 +1,142 @@
+// Claude Editor console helper - include it in an app to show the app's browser errors in the
+// editor's "Browser" panel while the app runs in the preview:
+//
+//   <script src="http://localhost:3333/claude-editor-console.js"></script>
+//
+// Load it before the app's own scripts so errors thrown while the app starts are caught too.
+// It reports console.error calls, uncaught exceptions, unhandled promise rejections, failed
+// fetch/XHR requests and resources that fail to load, posted to the parent window at the editor
+// origin only (the origin this script was loaded from, or data-editor-origin="..." on the tag):
+//   { type: 'claude-editor-console', version: 1, entry: { kind, message, stack, source, request, page } }
+// kind is 'console', 'exception', 'rejection' or 'network'; request is { method, url, status } for
+// network entries. The app keeps working as before - nothing is swallowed.
+(function () {
+  if (window.parent === window || window.__claudeEditorConsole) return;
+  window.__claudeEditorConsole = true;
+
+  const script = document.currentScript;
+  const editorOrigin = script?.dataset.editorOrigin || (script?.src ? new URL(script.src).origin : null);
+  if (!editorOrigin) return;
+
+  // An error in a render loop must not flood the editor
+  const MAX_REPORTS = 200;
+  const MAX_LENGTH = 4000;
+  let reports = 0;
+
+  function clip(text) {
+    text = String(text ?? '');
+    return text.length > MAX_LENGTH ? text.slice(0, MAX_LENGTH) + '…' : text;
+  }
+
+  function report(entry) {
+    if (reports >= MAX_REPORTS) return;
+    reports++;
+    try {
+      window.parent.postMessage({
+        type: 'claude-editor-console',
+        version: 1,
+        entry: {
+          kind: entry.kind,
+          message: clip(entry.message),
+          stack: entry.stack ? clip(entry.stack) : null,
+          source: entry.source || null,
+          request: entry.request || null,
+          page: location.href
+        }
+      }, editorOrigin);
+    } catch (e) {
+      // The editor is gone or the entry wasn't cloneable - never break the app over it
+    }
+  }
+
+  // Errors can come from another realm (an iframe in the app), so don't rely on instanceof
+  function isError(value) {
+    return !!value && typeof value === 'object' && typeof value.message === 'string' && 'stack' in value;
+  }
+
+  function describe(value) {
+    if (isError(value)) return `${value.name}: ${value.message}`;
+    if (typeof value === 'string') return value;
+    try {
+      return JSON.stringify(value);
+    } catch (e) {
+      return String(value);
+    }
+  }
+
+  const originalError = console.error;
+  console.error = function (...args) {
+    const error = args.find(isError);
+    report({ kind: 'console', message: args.map(describe).join(' '), stack: error?.stack });
+    return originalError.apply(this, args);
+  };
+
+  // Capture phase, so resources that fail to load (they don't bubble) are seen too
+  window.addEventListener('error', (event) => {
+    const target = event.target;
+    if (target && target !== window && (target.src || target.href)) {
+      const url = target.src || target.href;
+      report({ kind: 'network', message: `Kunne ikke indlæse <${target.tagName.toLowerCase()}> ${url}`, request: { method: 'GET', url, status: null } });
+      return;
+    }
+    report({
+      kind: 'exception',
+      message: event.error ? describe(event.error) : event.message,
+      stack: event.error?.stack,
+      source: event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : null
+    });
+  }, true);
+
+  window.addEventListener('unhandledrejection', (event) => {
+    report({
+      kind: 'rejection',
+      message: `Unhandled rejection: ${describe(event.reason)}`,
+      stack: event.reason?.stack
+    });
+  });
+
+  function reportRequest(method, url, status, error) {
+    report({
+      kind: 'network',
+      message: error ? `${method} ${url} fejlede: ${describe(error)}` : `${method} ${url} → ${status}`,
+      request: { method, url, status: status || null }
+    });
+  }
+
+  if (window.fetch) {
+    const originalFetch = window.fetch;
+    window.fetch = function (input, init) {
+      const method = (init?.method || input?.method || 'GET').toUpperCase();
+      const url = String(input?.url || input);
+      return originalFetch.apply(this, arguments).then(response => {
+        if (response.status >= 400) reportRequest(method, url, response.status);
+        return response;
+      }, error => {
+        // Aborted requests are the app's own doing
+        if (error?.name !== 'AbortError') reportRequest(method, url, null, error);
+        throw error;
+      });
+    };
+  }
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function (method, url) {
+    this.__claudeEditorRequest = { method: String(method).toUpperCase(), url: String(url) };
+    return originalOpen.apply(this, arguments);
+  };
+
+  const originalSend = XMLHttpRequest.prototype.send;
+  XMLHttpRequest.prototype.send = function () {
+    const request = this.__claudeEditorRequest;
+    if (request) {
+      let aborted = false;
+      this.addEventListener('abort', () => { aborted = true; });
+      this.addEventListener('loadend', () => {
+        if (aborted) return;
+        if (this.status === 0) reportRequest(request.method, request.url, null, 'netværksfejl');
+        else if (this.status >= 400) reportRequest(request.method, request.url, this.status);
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+})();
@@ -0,0 +1,215 @@
+// Claude Editor element picker - include it in an app to let the editor's 🎯 button pick an element
+// in the preview and attach it to the next command:
+//
+//   <script src="http://localhost:3333/claude-editor-picker.js"></script>
+//
+// Protocol, between the parent window at the editor origin (the origin this script was loaded from,
+// or data-editor-origin="..." on the tag) and the preview:
+//   editor -> app: { type: 'claude-editor-picker', version: 1, active }
+//   app -> editor: { type: 'claude-editor-picker-state', version: 1, active }  (also when Esc cancels)
+//                  { type: 'claude-editor-picker-result', version: 1, element }
+// element is { selector, tag, html, text, styles, rect, page, source } - source is
+// { file, line, column, component } when React or Vue dev builds reveal where the element comes from.
+(function () {
+  if (window.parent === window || window.__claudeEditorPicker) return;
+  window.__claudeEditorPicker = true;
+
+  const script = document.currentScript;
+  const editorOrigin = script?.dataset.editorOrigin || (script?.src ? new URL(script.src).origin : null);
+  if (!editorOrigin) return;
+
+  const MAX_HTML = 3000;
+  const STYLE_PROPERTIES = [
+    'display', 'position', 'width', 'height', 'margin', 'padding', 'box-sizing',
+    'color', 'background-color', 'background-image', 'border', 'border-radius', 'box-shadow', 'opacity',
+    'font-family', 'font-size', 'font-weight', 'line-height', 'text-align', 'letter-spacing',
+    'flex-direction', 'justify-content', 'align-items', 'gap', 'grid-template-columns', 'overflow', 'z-index'
+  ];
+
+  let active = false;
+  let hovered = null;
+  let overlay = null;
+
+  function send(message) {
+    window.parent.postMessage({ version: 1, ...message }, editorOrigin);
+  }
+
+  function createOverlay() {
+    const box = document.createElement('div');
+    box.style.cssText = 'position: fixed; z-index: 2147483647; pointer-events: none; border: 2px solid #cc785c; background: rgba(204, 120, 92, 0.15); border-radius: 2px; transition: all 0.05s ease;';
+    const label = document.createElement('div');
+    label.style.cssText = 'position: absolute; left: -2px; bottom: 100%; margin-bottom: 2px; padding: 2px 6px; background: #cc785c; color: white; font: 11px/1.4 monospace; white-space: nowrap; border-radius: 3px;';
+    box.appendChild(label);
+    return box;
+  }
+
+  function describeElement(el) {
+    const classes = [...el.classList].slice(0, 2).map(c => `.${c}`).join('');
+    return `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${classes}`;
+  }
+
+  function highlight(el) {
+    if (!overlay) overlay = createOverlay();
+    if (!overlay.isConnected) document.documentElement.appendChild(overlay);
+    const rect = el.getBoundingClientRect();
+    Object.assign(overlay.style, { top: `${rect.top}px`, left: `${rect.left}px`, width: `${rect.width}px`, height: `${rect.height}px` });
+    overlay.firstChild.textContent = `${describeElement(el)}  ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+    // Keep the label inside the page at the top edge
+    overlay.firstChild.style.bottom = rect.top < 20 ? 'auto' : '100%';
+    overlay.firstChild.style.top = rect.top < 20 ? '100%' : 'auto';
+  }
+
+  // Shortest selector (walking up from the element) that matches only this element
+  function cssSelector(el) {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      let part = node.tagName.toLowerCase();
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const classes = [...node.classList].filter(c => !/\d{3,}|^css-|^sc-/.test(c)).slice(0, 2);
+      part += classes.map(c => `.${CSS.escape(c)}`).join('');
+      const sameType = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+      if (sameType.length > 1) part += `:nth-of-type(${sameType.indexOf(node) + 1})`;
+      parts.unshift(part);
+      const selector = parts.join(' > ');
+      if (document.querySelectorAll(selector).length === 1) return selector;
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  function computedStyles(el) {
+    const computed = getComputedStyle(el);
+    const styles = {};
+    for (const property of STYLE_PROPERTIES) {
+      const value = computed.getPropertyValue(property);
+      if (value && value !== 'none' && value !== 'normal' && value !== 'auto') styles[property] = value;
+    }
+    return styles;
+  }
+
+  function reactSource(el) {
+    const key = Object.keys(el).find(k => k.startsWith('__reactFiber$') || k.startsWith('__reactInternalInstance$'));
+    if (!key) return null;
+    let fiber = el[key];
+    let source = null;
+    let component = null;
+    // _debugSource is set by React's dev JSX transform (React 18 and older)
+    while (fiber && (!source || !component)) {
+      if (!source && fiber._debugSource) source = fiber._debugSource;
+      if (!component && typeof fiber.type === 'function') component = fiber.type.displayName || fiber.type.name || null;
+      fiber = fiber.return;
+    }
+    if (!source && !component) return null;
+    return { file: source?.fileName || null, line: source?.lineNumber || null, column: source?.columnNumber || null, component };
+  }
+
+  function vueSource(el) {
+    for (let node = el; node; node = node.parentElement) {
+      // Vue 3 dev builds keep the component (and its SFC file), Vue 2 the instance
+      const instance = node.__vueParentComponent;
+      if (instance) {
+        const type = instance.type || {};
+        return { file: type.__file || null, line: null, column: null, component: type.name || type.__name || null };
+      }
+      if (node.__vue__) {
+        const options = node.__vue__.$options || {};
+        return { file: options.__file || null, line: null, column: null, component: options.name || null };
+      }
+    }
+    return null;
+  }
+
+  // Build tools that tag elements with their source, e.g. data-source="src/App.jsx:12:5"
+  function attributeSource(el) {
+    const tagged = el.closest('[data-source], [data-inspector-relative-path]');
+    if (!tagged) return null;
+    if (tagged.dataset.source) {
+      const [file, line, column] = tagged.dataset.source.split(':');
+      return { file, line: Number(line) || null, column: Number(column) || null, component: null };
+    }
+    return {
+      file: tagged.dataset.inspectorRelativePath,
+      line: Number(tagged.dataset.inspectorLine) || null,
+      column: Number(tagged.dataset.inspectorColumn) || null,
+      component: null
+    };
+  }
+
+  function elementContext(el) {
+    const rect = el.getBoundingClientRect();
+    const html = el.outerHTML;
+    let source = null;
+    try {
+      source = reactSource(el) || vueSource(el) || attributeSource(el);
+    } catch (e) {
+      // Framework internals changed - the element is still useful without its source
+    }
+    return {
+      selector: cssSelector(el),
+      tag: el.tagName.toLowerCase(),
+      html: html.length > MAX_HTML ? html.slice(0, MAX_HTML) + '…' : html,
+      text: (el.innerText || '').trim().slice(0, 200),
+      styles: computedStyles(el),
+      rect: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+      page: location.href,
+      source
+    };
+  }
+
+  function onMouseMove(event) {
+    const el = event.target;
+    if (!(el instanceof Element) || el === hovered) return;
+    hovered = el;
+    highlight(el);
+  }
+
+  // The page must not react to the click that picks an element
+  function onClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.type !== 'click' || !(event.target instanceof Element)) return;
+    const element = elementContext(event.target);
+    setActive(false);
+    send({ type: 'claude-editor-picker-result', element });
+  }
+
+  function onKeyDown(event) {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    setActive(false);
+  }
+
+  const BLOCKED_EVENTS = ['click', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'];
+
+  // Always answers, so the editor knows the helper is there
+  function setActive(value) {
+    if (active === value) return send({ type: 'claude-editor-picker-state', active });
+    active = value;
+    if (active) {
+      document.addEventListener('mousemove', onMouseMove, true);
+      BLOCKED_EVENTS.forEach(type => document.addEventListener(type, onClick, true));
+      document.addEventListener('keydown', onKeyDown, true);
+      document.documentElement.style.cursor = 'crosshair';
+    } else {
+      document.removeEventListener('mousemove', onMouseMove, true);
+      BLOCKED_EVENTS.forEach(type => document.removeEventListener(type, onClick, true));
+      document.removeEventListener('keydown', onKeyDown, true);
+      document.documentElement.style.cursor = '';
+      overlay?.remove();
+      hovered = null;
+    }
+    send({ type: 'claude-editor-picker-state', active });
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || event.origin !== editorOrigin) return;
+    const data = event.data;
+    if (!data || data.type !== 'claude-editor-picker' || data.version !== 1) return;
+    setActive(!!data.active);
+  });
+})();
@@ -3,12 +3,14 @@ const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
 const fs = require('fs');
-const { spawn, exec, execSync } = require('child_process');
+const os = require('os');
+const { spawn, exec, execFile, execSync } = require('child_process');
+const crypto = require('crypto');
 const chokidar = require('chokidar');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ noServer: true, verifyClient: verifyWebSocketClient });
 
 const PORT = 3333;
 const isWindows = process.platform === 'win32';
@@ -37,203 +39,1832 @@ function saveConfig(config) {
 
 let config = loadConfig();
 
+// Address to listen on - only this machine unless config.host says otherwise (e.g. "0.0.0.0")
+const HOST = config.host || '127.0.0.1';
+
+// Authentication: the UI logs in with the access token or config.auth.password and gets a signed
+// session cookie. Scripts and WebSocket clients can send "Authorization: Bearer <token>" instead.
+const SESSION_COOKIE = 'claude_editor_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+// The preview helpers are included by the apps in the preview, so they must load without a session
+const PUBLIC_PATHS = new Set(['/login.html', '/api/login', '/claude-editor-autofill.js', '/claude-editor-console.js', '/claude-editor-picker.js']);
+const loginFailures = new Map(); // ip -> { count, until, last }
+const LOGIN_LOCKOUT = 60000;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000; // Failures older than this are forgotten
+
+function initAuth() {
+  const auth = config.auth = config.auth || {};
+  let changed = false;
+  if (!auth.token) {
+    auth.token = crypto.randomBytes(24).toString('hex');
+    changed = true;
+  }
+  // Signs session cookies - delete it from config.json to log out every browser
+  if (!auth.secret) {
+    auth.secret = crypto.randomBytes(32).toString('hex');
+    changed = true;
+  }
+  // A plain password in config.json is replaced by its hash on start
+  if (auth.password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    auth.passwordHash = `${salt}:${crypto.scryptSync(String(auth.password), salt, 32).toString('hex')}`;
+    delete auth.password;
+    changed = true;
+  }
+  if (changed) {
+    saveConfig(config);
+  }
+}
+initAuth();
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function checkLoginSecret(secret) {
+  if (safeEqual(secret, config.auth.token)) return true;
+  if (!config.auth.passwordHash) return false;
+  const [salt, hash] = config.auth.passwordHash.split(':');
+  return safeEqual(crypto.scryptSync(String(secret), salt, 32).toString('hex'), hash);
+}
+
+function signSession(expires) {
+  return crypto.createHmac('sha256', config.auth.secret).update(String(expires)).digest('hex');
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0) cookies[part.substring(0, eq).trim()] = decodeURIComponent(part.substring(eq + 1).trim());
+  }
+  return cookies;
+}
+
+// Valid session cookie (browser) or bearer token (scripts, WebSocket clients)
+function isAuthenticated(req) {
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  if (bearer) {
+    return safeEqual(bearer.trim(), config.auth.token);
+  }
+  const [expires, signature] = (parseCookies(req.headers.cookie)[SESSION_COOKIE] || '').split('.');
+  return !!signature && Number(expires) > Date.now() && safeEqual(signature, signSession(expires));
+}
+
+// Browsers send Origin on cross-site requests - only the editor itself (or config.allowedOrigins) may call us
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host || (config.allowedOrigins || []).includes(origin);
+  } catch (e) {
+    return false;
+  }
+}
+
+function verifyWebSocketClient({ req }, done) {
+  if (!isAllowedOrigin(req)) return done(false, 403, 'Origin not allowed');
+  if (!isAuthenticated(req)) return done(false, 401, 'Unauthorized');
+  done(true);
+}
+
 // Get projects path from config
 function getProjectsPath() {
   return config.projectsPath;
 }
 
-// Claude CLI path (assumes it's in PATH on both platforms)
-const CLAUDE_PATH = 'claude';
+// Project names come from clients: a project is a non-hidden folder directly inside the projects path
+function isPlainProjectName(name) {
+  if (typeof name !== 'string' || !name || name.startsWith('.') || /[\/\\\0]/.test(name) || !getProjectsPath()) {
+    return false;
+  }
+  const root = path.resolve(getProjectsPath());
+  return path.dirname(path.resolve(root, name)) === root;
+}
 
-// Multi-project state management
-const projects = new Map(); // projectName -> { process, vitePort, netlifyPort, fileWatcher, claudeReady, claudeProcess, commandQueue }
+function isValidProjectName(projectName) {
+  return isPlainProjectName(projectName) || !!parseWorktreeKey(projectName);
+}
 
-// Get or create project state
-function getProjectState(projectName) {
-  if (!projects.has(projectName)) {
-    projects.set(projectName, {
-      netlifyProcess: null,
-      claudeProcess: null,
-      vitePort: null,
-      netlifyPort: null,
-      fileWatcher: null,
-      claudeReady: false,
-      commandQueue: [],
-      currentWs: null
-    });
+// Task worktrees live in <project>/.claude-worktrees/<name> and are opened as the workspace "<project>@<name>"
+const WORKTREES_DIR = '.claude-worktrees';
+const WORKTREE_BRANCH_PREFIX = 'claude-editor/';
+const WORKTREE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/;
+
+// Split a workspace key into its project and worktree, if the worktree exists
+function parseWorktreeKey(projectName) {
+  const at = String(projectName).lastIndexOf('@');
+  if (at <= 0 || !getProjectsPath()) return null;
+  const base = projectName.substring(0, at);
+  const name = projectName.substring(at + 1);
+  if (!WORKTREE_NAME_PATTERN.test(name) || !isPlainProjectName(base)) return null;
+  const worktreePath = path.join(getProjectsPath(), base, WORKTREES_DIR, name);
+  return fs.existsSync(worktreePath) ? { base, name, path: worktreePath } : null;
+}
+
+function getProjectPath(projectName) {
+  return parseWorktreeKey(projectName)?.path || path.join(getProjectsPath(), projectName);
+}
+
+// Worktrees inherit settings (permissions, budgets) from the project they were created from
+function baseProjectName(projectName) {
+  return parseWorktreeKey(projectName)?.base || projectName;
+}
+
+// Optional manifest checked into a project: dev server, port, env, service links and default permissions.
+// Anything it leaves out falls back to detection (dev command), config.json (ports) and the defaults.
+const MANIFEST_FILE = '.claude-editor.json';
+
+// Returns { manifest, errors, raw } - manifest is null when the file is missing or invalid
+function readProjectManifest(projectName) {
+  const file = path.join(getProjectPath(projectName), MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    return { manifest: null, errors: [], raw: null };
   }
-  return projects.get(projectName);
+  const raw = fs.readFileSync(file, 'utf8');
+  let manifest;
+  try {
+    manifest = JSON.parse(raw);
+  } catch (e) {
+    return { manifest: null, errors: [`Invalid JSON: ${e.message}`], raw };
+  }
+  const errors = validateManifest(manifest);
+  return { manifest: errors.length === 0 ? manifest : null, errors, raw };
 }
 
-// Cross-platform: Find next available port
-async function findAvailablePort(basePort) {
-  const net = require('net');
-  for (let port = basePort; port < basePort + 100; port++) {
-    const available = await new Promise(resolve => {
-      const server = net.createServer();
-      server.once('error', () => resolve(false));
-      server.once('listening', () => {
-        server.close();
-        resolve(true);
-      });
-      server.listen(port);
-    });
-    if (available) return port;
+function getProjectManifest(projectName) {
+  const { manifest, errors } = readProjectManifest(projectName);
+  if (errors.length > 0) {
+    console.log(`Ignoring ${MANIFEST_FILE} for ${projectName}:`, errors.join('; '));
   }
-  return basePort;
+  return manifest;
 }
 
-// Get or assign a fixed port for a project
-async function getOrAssignProjectPort(projectName) {
-  // Check if project already has a fixed port
-  if (config.projectPorts[projectName]) {
-    const assignedPort = config.projectPorts[projectName];
-    console.log(`Project ${projectName} has fixed port: ${assignedPort}`);
-    return assignedPort;
+// List of problems, empty when the manifest is valid
+function validateManifest(manifest) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+  if (!isObject(manifest)) {
+    return ['The manifest must be a JSON object'];
   }
 
-  // Find all already assigned ports
-  const usedPorts = new Set(Object.values(config.projectPorts));
+  const { dev, services, permissions } = manifest;
+  if (dev !== undefined) {
+    if (!isObject(dev)) {
+      errors.push('dev must be an object');
+    } else {
+      if (dev.command !== undefined && (typeof dev.command !== 'string' || !dev.command.trim())) errors.push('dev.command must be a non-empty string');
+      if (dev.args !== undefined && !isStringList(dev.args)) errors.push('dev.args must be a list of strings');
+      if (dev.port !== undefined && !(Number.isInteger(dev.port) && dev.port > 0 && dev.port < 65536)) errors.push('dev.port must be a port number');
+      if (dev.portArgs !== undefined && !isStringList(dev.portArgs)) errors.push('dev.portArgs must be a list of strings, e.g. ["--port", "{port}"]');
+      if (dev.portEnv !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(dev.portEnv)) errors.push('dev.portEnv must be an environment variable name');
+      if (dev.env !== undefined && !(isObject(dev.env) && Object.values(dev.env).every(value => typeof value === 'string'))) errors.push('dev.env must map names to strings');
+      if (dev.netlify !== undefined && typeof dev.netlify !== 'boolean') errors.push('dev.netlify must be true or false');
+      if (dev.restart !== undefined && typeof dev.restart !== 'boolean') {
+        if (!isObject(dev.restart)) {
+          errors.push('dev.restart must be true, false or { maxAttempts, delayMs, maxDelayMs }');
+        } else {
+          for (const key of ['maxAttempts', 'delayMs', 'maxDelayMs']) {
+            if (dev.restart[key] !== undefined && !(Number.isInteger(dev.restart[key]) && dev.restart[key] >= 0)) errors.push(`dev.restart.${key} must be a whole number`);
+          }
+        }
+      }
+    }
+  }
+  if (services !== undefined) {
+    if (!isObject(services)) {
+      errors.push('services must be an object of links');
+    } else {
+      for (const [name, url] of Object.entries(services)) {
+        if (typeof url !== 'string' || !/^https?:\/\//.test(url)) errors.push(`services.${name} must be an http(s) link`);
+      }
+    }
+  }
+  if (permissions !== undefined) {
+    if (!isObject(permissions)) {
+      errors.push('permissions must be an object');
+    } else {
+      if (permissions.permissionMode !== undefined && !PERMISSION_MODES.includes(permissions.permissionMode)) errors.push(`permissions.permissionMode must be one of: ${PERMISSION_MODES.join(', ')}`);
+      for (const key of ['allowedTools', 'disallowedTools', 'additionalDirectories']) {
+        if (permissions[key] !== undefined && !isStringList(permissions[key])) errors.push(`permissions.${key} must be a list of strings`);
+      }
+    }
+  }
+  return errors;
+}
 
-  // Find next available port starting from 5173, skipping already assigned ones
-  const net = require('net');
-  for (let port = 5173; port < 5273; port++) {
-    // Skip if already assigned to another project
-    if (usedPorts.has(port)) continue;
+// Port fixed by the manifest - worktrees ignore it so they can run next to the project
+function getManifestPort(projectName) {
+  return parseWorktreeKey(projectName) ? null : getProjectManifest(projectName)?.dev?.port || null;
+}
 
-    // Check if port is actually available
-    const available = await new Promise(resolve => {
-      const server = net.createServer();
-      server.once('error', () => resolve(false));
-      server.once('listening', () => {
-        server.close();
-        resolve(true);
-      });
-      server.listen(port);
-    });
+// Claude CLI path (assumes it's in PATH on both platforms)
+const CLAUDE_PATH = 'claude';
 
-    if (available) {
-      // Assign this port permanently to the project
-      config.projectPorts[projectName] = port;
-      saveConfig(config);
-      console.log(`Assigned fixed port ${port} to project ${projectName}`);
-      return port;
+// Claude permission modes (--permission-mode); bypassPermissions maps to --dangerously-skip-permissions
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+// Per-project permission settings: config.projectPermissions, else the manifest's profile (defaults keep the old behaviour)
+function getProjectPermissions(projectName) {
+  return {
+    permissionMode: 'bypassPermissions',
+    allowedTools: [],
+    disallowedTools: [],
+    additionalDirectories: [],
+    ...(getConfiguredPermissions(projectName) || getManifestPermissions(projectName) || {})
+  };
+}
+
+function getConfiguredPermissions(projectName) {
+  const configured = config.projectPermissions || {};
+  return configured[projectName] || configured[baseProjectName(projectName)] || null;
+}
+
+function getManifestPermissions(projectName) {
+  const permissions = getProjectManifest(projectName)?.permissions;
+  if (!permissions) return null;
+  // Extra directories in a manifest are relative to the project
+  const projectPath = getProjectPath(projectName);
+  return {
+    ...permissions,
+    additionalDirectories: (permissions.additionalDirectories || []).map(dir => path.resolve(projectPath, dir))
+  };
+}
+
+function getPermissionsSource(projectName) {
+  return getConfiguredPermissions(projectName) ? 'config' : getManifestPermissions(projectName) ? 'manifest' : 'default';
+}
+
+// Find the Claude CLI for spawning without a shell: { command, prefixArgs } or null if not found.
+// On Windows the PATH/PATHEXT lookup is done here, and npm's claude.cmd shim is run through node directly
+// (a .cmd file can only be started by cmd.exe, which would re-parse the arguments).
+function resolveClaudeCommand() {
+  if (!isWindows) {
+    return { command: CLAUDE_PATH, prefixArgs: [] };
+  }
+
+  const extensions = ['', ...(process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)];
+  const dirs = path.isAbsolute(CLAUDE_PATH) ? [''] : (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, CLAUDE_PATH + ext);
+      try {
+        if (!fs.statSync(candidate).isFile()) continue;
+      } catch (e) {
+        continue;
+      }
+      const type = path.extname(candidate).toLowerCase();
+      if (type === '.exe' || type === '.com') {
+        return { command: candidate, prefixArgs: [] };
+      }
+      if (type === '.cmd' || type === '.bat') {
+        // npm shims end with: "%_prog%" "%dp0%\node_modules\...\cli.js" %*
+        const script = fs.readFileSync(candidate, 'utf8').match(/"%~?dp0%?\\([^"]+)"\s*%\*/i);
+        if (script) {
+          return { command: process.execPath, prefixArgs: [path.join(path.dirname(candidate), script[1])] };
+        }
+      }
     }
   }
+  return null;
+}
 
-  // Fallback if no port found
-  const fallbackPort = 5173 + Object.keys(config.projectPorts).length;
-  config.projectPorts[projectName] = fallbackPort;
-  saveConfig(config);
-  return fallbackPort;
+// Translate permission settings into Claude CLI flags
+function buildPermissionArgs(permissions, planOnly = false) {
+  const mode = planOnly ? 'plan' : permissions.permissionMode;
+  const args = mode === 'bypassPermissions'
+    ? ['--dangerously-skip-permissions']
+    : ['--permission-mode', mode];
+
+  if (permissions.allowedTools.length > 0) {
+    args.push('--allowedTools', permissions.allowedTools.join(','));
+  }
+  if (permissions.disallowedTools.length > 0) {
+    args.push('--disallowedTools', permissions.disallowedTools.join(','));
+  }
+  for (const dir of permissions.additionalDirectories) {
+    args.push('--add-dir', dir);
+  }
+  return args;
 }
 
-// Cross-platform: Kill process by PID
-function killProcess(pid) {
+// Server-side data (tasks, transcripts) lives next to config.json
+const DATA_DIR = path.join(__dirname, 'data');
+const TASKS_DIR = path.join(DATA_DIR, 'tasks');
+const QUEUES_DIR = path.join(DATA_DIR, 'queues');
+
+// Task store: projectName -> array of tasks, persisted as one JSON file per project
+const taskStore = new Map();
+const taskSaveTimers = new Map();
+
+function getTasksFile(projectName) {
+  return path.join(TASKS_DIR, `${encodeURIComponent(projectName)}.json`);
+}
+
+function loadTasks(projectName) {
+  if (taskStore.has(projectName)) {
+    return taskStore.get(projectName);
+  }
+
+  let tasks = [];
   try {
-    if (isWindows) {
-      execSync(`taskkill /PID ${pid} /F /T`, { stdio: 'ignore' });
-    } else {
-      process.kill(pid, 'SIGTERM');
+    const file = getTasksFile(projectName);
+    if (fs.existsSync(file)) {
+      tasks = JSON.parse(fs.readFileSync(file, 'utf8'));
+      tasks.forEach(t => {
+        // Nothing can still be running after a server restart
+        if (t.status === 'running') t.status = 'completed';
+        // Transcripts from before structured events were plain text
+        t.commands.forEach(cmd => {
+          if (!cmd.events) {
+            cmd.events = cmd.output ? [{ kind: 'output', text: cmd.output }] : [];
+            delete cmd.output;
+          }
+        });
+      });
     }
   } catch (e) {
-    // Process may already be dead
+    console.log('Could not load tasks for', projectName + ':', e.message);
   }
+  taskStore.set(projectName, tasks);
+  return tasks;
 }
 
-// Cross-platform: Check if process is running
-function isProcessRunning(pid) {
+function writeTasks(projectName) {
+  if (taskSaveTimers.has(projectName)) {
+    clearTimeout(taskSaveTimers.get(projectName));
+    taskSaveTimers.delete(projectName);
+  }
   try {
-    if (isWindows) {
-      const result = execSync(`tasklist /FI "PID eq ${pid}" /NH`, { encoding: 'utf8' });
-      return result.includes(pid.toString());
-    } else {
-      process.kill(pid, 0);
-      return true;
-    }
+    fs.mkdirSync(TASKS_DIR, { recursive: true });
+    fs.writeFileSync(getTasksFile(projectName), JSON.stringify(loadTasks(projectName), null, 2));
   } catch (e) {
-    return false;
+    console.log('Could not save tasks for', projectName + ':', e.message);
   }
 }
 
-app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+// Debounced save - output arrives in many small chunks while Claude runs
+function saveTasks(projectName) {
+  if (taskSaveTimers.has(projectName)) return;
+  taskSaveTimers.set(projectName, setTimeout(() => writeTasks(projectName), 1000));
+}
 
-// Get config
-app.get('/api/config', (req, res) => {
-  res.json({
-    projectsPath: config.projectsPath,
-    isConfigured: !!config.projectsPath,
-    platform: process.platform,
-    projectPorts: config.projectPorts || {}
-  });
-});
+function findTask(projectName, taskId) {
+  return loadTasks(projectName).find(t => t.id === taskId) || null;
+}
 
-// Get assigned port for a specific project
-app.get('/api/project-port/:project', async (req, res) => {
-  const projectName = req.params.project;
-  const port = await getOrAssignProjectPort(projectName);
-  res.json({ project: projectName, port });
-});
+// Create the task if the client hasn't persisted it yet
+function getOrCreateTask(projectName, taskId, taskName) {
+  const tasks = loadTasks(projectName);
+  let task = findTask(projectName, taskId);
+  if (!task) {
+    task = {
+      id: taskId,
+      number: tasks.length > 0 ? Math.max(...tasks.map(t => t.number || 0)) + 1 : 1,
+      name: taskName || `Opgave ${tasks.length + 1}`,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      sessionId: null, // Claude session to --resume for the next command
+      commands: []
+    };
+    tasks.push(task);
+    saveTasks(projectName);
+  }
+  return task;
+}
 
-// Set projects path
-app.post('/api/config', (req, res) => {
-  const { projectsPath } = req.body;
+// Summary without command transcripts (for task lists)
+function taskSummary(task) {
+  const { commands, ...rest } = task;
+  return {
+    ...rest,
+    commandCount: commands.length,
+    usage: summarizeUsage(commands.map(cmd => cmd.usage).filter(Boolean))
+  };
+}
 
-  if (!projectsPath) {
-    return res.status(400).json({ error: 'projectsPath is required' });
+// Usage ledger: one NDJSON line per finished command, kept even if the task is deleted
+const USAGE_DIR = path.join(DATA_DIR, 'usage');
+const usageStore = new Map();
+
+function getUsageFile(projectName) {
+  return path.join(USAGE_DIR, `${encodeURIComponent(projectName)}.ndjson`);
+}
+
+function loadUsage(projectName) {
+  if (usageStore.has(projectName)) {
+    return usageStore.get(projectName);
   }
 
-  // Verify the path exists and is a directory
+  let entries = [];
   try {
-    const stats = fs.statSync(projectsPath);
-    if (!stats.isDirectory()) {
-      return res.status(400).json({ error: 'Path is not a directory' });
+    const file = getUsageFile(projectName);
+    if (fs.existsSync(file)) {
+      entries = fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
     }
   } catch (e) {
-    return res.status(400).json({ error: 'Path does not exist' });
+    console.log('Could not load usage for', projectName + ':', e.message);
   }
+  usageStore.set(projectName, entries);
+  return entries;
+}
 
-  config.projectsPath = projectsPath;
-  saveConfig(config);
-  res.json({ success: true, projectsPath });
-});
-
-// Browse directory (for folder picker)
-app.get('/api/browse', (req, res) => {
-  const requestedPath = req.query.path || (isWindows ? 'C:\\' : '/');
-
+function recordUsage(projectName, entry) {
+  loadUsage(projectName).push(entry);
   try {
-    const items = fs.readdirSync(requestedPath, { withFileTypes: true });
-    const dirs = items
-      .filter(item => item.isDirectory() && !item.name.startsWith('.'))
-      .map(item => ({
-        name: item.name,
-        path: path.join(requestedPath, item.name)
-      }))
-      .sort((a, b) => a.name.localeCompare(b.name));
+    fs.mkdirSync(USAGE_DIR, { recursive: true });
+    fs.appendFileSync(getUsageFile(projectName), JSON.stringify(entry) + '\n');
+  } catch (e) {
+    console.log('Could not save usage for', projectName + ':', e.message);
+  }
+}
 
-    res.json({
-      current: requestedPath,
-      parent: path.dirname(requestedPath),
-      directories: dirs
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Usage of a project together with all its worktrees (also removed ones), which share its budget
+function loadProjectUsage(projectName) {
+  const base = baseProjectName(projectName);
+  let worktreeKeys = [];
+  try {
+    worktreeKeys = fs.readdirSync(USAGE_DIR)
+      .filter(file => file.endsWith('.ndjson'))
+      .map(file => decodeURIComponent(file.slice(0, -'.ndjson'.length)))
+      .filter(key => key.startsWith(`${base}@`) && WORKTREE_NAME_PATTERN.test(key.substring(base.length + 1)));
+  } catch (e) {
+    // No usage recorded yet
   }
-});
+  return [base, ...worktreeKeys].flatMap(key => loadUsage(key));
+}
 
-// Get list of projects (sorted by most recently modified)
-app.get('/api/projects', (req, res) => {
-  const projectsPath = getProjectsPath();
+function summarizeUsage(entries) {
+  return entries.reduce((sum, u) => ({
+    costUsd: sum.costUsd + (u.costUsd || 0),
+    inputTokens: sum.inputTokens + (u.inputTokens || 0),
+    outputTokens: sum.outputTokens + (u.outputTokens || 0),
+    cacheReadTokens: sum.cacheReadTokens + (u.cacheReadTokens || 0),
+    cacheCreationTokens: sum.cacheCreationTokens + (u.cacheCreationTokens || 0),
+    commands: sum.commands + 1
+  }), { costUsd: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0, commands: 0 });
+}
 
-  if (!projectsPath) {
-    return res.status(400).json({ error: 'Projects path not configured' });
+function isSameDay(a, b) {
+  return a.toDateString() === b.toDateString();
+}
+
+function isSameMonth(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth();
+}
+
+// Budgets live in config.json: projectBudgets[project] or projectBudgets['*']
+// e.g. { "dailyUsd": 5, "monthlyUsd": 50, "action": "block" } - action is "warn" (default) or "block"
+function getProjectBudget(projectName) {
+  const budgets = config.projectBudgets || {};
+  return budgets[projectName] || budgets[baseProjectName(projectName)] || budgets['*'] || null;
+}
+
+function getUsageSummary(projectName) {
+  const entries = loadProjectUsage(projectName);
+  const now = new Date();
+  const today = summarizeUsage(entries.filter(e => isSameDay(new Date(e.timestamp), now)));
+  const month = summarizeUsage(entries.filter(e => isSameMonth(new Date(e.timestamp), now)));
+
+  const byTask = {};
+  for (const entry of entries) {
+    if (entry.taskId == null) continue;
+    (byTask[entry.taskId] = byTask[entry.taskId] || []).push(entry);
+  }
+  const tasks = {};
+  for (const [taskId, taskEntries] of Object.entries(byTask)) {
+    tasks[taskId] = summarizeUsage(taskEntries);
   }
 
-  try {
-    const items = fs.readdirSync(projectsPath, { withFileTypes: true });
-    const projects = items
+  const budget = getProjectBudget(projectName);
+  return {
+    project: projectName,
+    today,
+    month,
+    total: summarizeUsage(entries),
+    tasks,
+    budget,
+    budgetStatus: {
+      dailyExceeded: !!(budget?.dailyUsd && today.costUsd >= budget.dailyUsd),
+      monthlyExceeded: !!(budget?.monthlyUsd && month.costUsd >= budget.monthlyUsd)
+    }
+  };
+}
+
+// Returns a message if the project is over budget, plus whether to block the command
+function checkBudget(projectName) {
+  const summary = getUsageSummary(projectName);
+  const { budget, budgetStatus } = summary;
+  if (!budget || (!budgetStatus.dailyExceeded && !budgetStatus.monthlyExceeded)) {
+    return null;
+  }
+
+  const message = budgetStatus.dailyExceeded
+    ? `dagligt budget $${budget.dailyUsd} (brugt $${summary.today.costUsd.toFixed(2)} i dag)`
+    : `månedligt budget $${budget.monthlyUsd} (brugt $${summary.month.costUsd.toFixed(2)} denne måned)`;
+  return { message, block: budget.action === 'block' };
+}
+
+// Credential vault: test logins per project, AES-256-GCM encrypted in data/credentials.vault.
+// The key is derived from CLAUDE_EDITOR_VAULT_KEY, or from a passphrase entered in the editor
+// that is only kept in memory - without either the vault stays locked.
+const VAULT_FILE = path.join(DATA_DIR, 'credentials.vault');
+let vaultPassphrase = process.env.CLAUDE_EDITOR_VAULT_KEY || null;
+let vaultData = null; // project -> { accounts: [{ name, email, password }] } while unlocked
+
+function readVault(passphrase) {
+  if (!fs.existsSync(VAULT_FILE)) return {};
+  const file = JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'));
+  const key = crypto.scryptSync(passphrase, Buffer.from(file.salt, 'hex'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(file.tag, 'hex'));
+  // Throws on a wrong passphrase (the auth tag doesn't match)
+  const json = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]).toString('utf8');
+  return JSON.parse(json);
+}
+
+function writeVault(data) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(vaultPassphrase, salt, 32), iv);
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  const file = {
+    version: 1,
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: encrypted.toString('base64')
+  };
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.writeFileSync(`${VAULT_FILE}.tmp`, JSON.stringify(file), { mode: 0o600 });
+  fs.renameSync(`${VAULT_FILE}.tmp`, VAULT_FILE);
+  vaultData = data;
+}
+
+// Decrypted vault, or null while locked
+function getVault() {
+  if (!vaultData && vaultPassphrase) {
+    try {
+      vaultData = readVault(vaultPassphrase);
+    } catch (e) {
+      console.error('Could not open credential vault:', e.message);
+      vaultPassphrase = null;
+    }
+  }
+  return vaultData;
+}
+
+function getVaultStatus() {
+  return {
+    exists: fs.existsSync(VAULT_FILE),
+    unlocked: getVault() !== null,
+    fromEnv: !!process.env.CLAUDE_EDITOR_VAULT_KEY
+  };
+}
+
+// List of problems with a project's accounts, empty when they are valid
+function validateAccounts(accounts) {
+  if (!Array.isArray(accounts)) return ['accounts must be a list'];
+  const errors = [];
+  const names = new Set();
+  accounts.forEach((account, i) => {
+    if (!account || typeof account.name !== 'string' || !account.name.trim()) {
+      errors.push(`accounts[${i}].name is required`);
+    } else if (names.has(account.name)) {
+      errors.push(`Duplicate account name "${account.name}"`);
+    } else {
+      names.add(account.name);
+    }
+    for (const field of ['email', 'password']) {
+      if (typeof account?.[field] !== 'string') errors.push(`accounts[${i}].${field} must be a string`);
+    }
+  });
+  return errors;
+}
+
+// Multi-project state management
+const projects = new Map(); // projectName -> { process, vitePort, netlifyPort, fileWatcher, claudeReady, claudeProcess, commandQueue, queuePaused, subscribers, eventLog }
+
+// Get or create project state
+function getProjectState(projectName) {
+  if (!projects.has(projectName)) {
+    const savedQueue = loadQueue(projectName);
+    projects.set(projectName, {
+      netlifyProcess: null,
+      devType: null,
+      previewBase: null, // Path the dev server serves the app under ('/preview/<project>/' for Vite)
+      devHealth: null, // 'starting' | 'ready' | 'unhealthy' | 'crashed' while supervised
+      devProbeTimer: null,
+      devReadyAt: null,
+      devRestarts: 0,
+      devRestartTimer: null,
+      devLog: [], // Output chunks, at most DEV_LOG_LIMIT characters
+      devLogSize: 0,
+      devLogTruncated: false,
+      devErrors: [],
+      devErrorSeq: 0,
+      devScan: { partial: '', block: null, timer: null },
+      claudeProcess: null,
+      vitePort: null,
+      netlifyPort: null,
+      fileWatcher: null,
+      claudeReady: false,
+      commandQueue: savedQueue.items,
+      queuePaused: savedQueue.paused,
+      queueRunCount: 0, // Commands taken from the queue since it was last empty
+      subscribers: new Set(), // WebSocket clients viewing this project
+      eventLog: [], // Recent events, replayed to clients that reconnect mid-run
+      eventSeq: 0
+    });
+  }
+  return projects.get(projectName);
+}
+
+// Bounded per-project event log. Only these types are replayed - the rest is covered by project-state
+const EVENT_LOG_LIMIT = 2000;
+// (clients seeing a project for the first time load tasks and the dev log over HTTP instead)
+const REPLAYED_EVENTS = new Set(['claude-output', 'claude-event', 'claude-session', 'claude-checkpoint', 'task-update', 'task-deleted', 'queue-update', 'netlify-output', 'dev-error', 'dev-log-cleared']);
+
+// Send a project event to every client subscribed to the project
+function broadcast(project, message) {
+  const state = getProjectState(project);
+  const seq = ++state.eventSeq;
+  const payload = JSON.stringify({ ...message, seq });
+  if (REPLAYED_EVENTS.has(message.type)) {
+    state.eventLog.push({ seq, type: message.type, payload });
+    if (state.eventLog.length > EVENT_LOG_LIMIT) {
+      state.eventLog.splice(0, state.eventLog.length - EVENT_LOG_LIMIT);
+    }
+  }
+  for (const client of state.subscribers) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(payload);
+    }
+  }
+}
+
+// Subscribe a client and pick the logged events it missed. lastSeq is the last event seq the
+// client saw for this project (undefined for a client opening the project for the first time).
+function subscribeClient(project, ws, lastSeq) {
+  const state = getProjectState(project);
+  state.subscribers.add(ws);
+
+  const oldest = state.eventLog.length > 0 ? state.eventLog[0].seq : state.eventSeq + 1;
+  // Log trimmed past the client's position, or the server restarted - the client must reload tasks
+  const resync = typeof lastSeq === 'number' && (lastSeq + 1 < oldest || lastSeq > state.eventSeq);
+  const catchUp = typeof lastSeq === 'number' && !resync;
+  const replay = catchUp ? state.eventLog.filter(entry => entry.seq > lastSeq) : [];
+  return { resync, seq: state.eventSeq, replay };
+}
+
+// Which task and command a live command belongs to, so every client can route its output
+const taskCommandOwners = new WeakMap(); // taskCommand -> taskId
+function commandLocation(project, taskCommand) {
+  const taskId = taskCommand ? taskCommandOwners.get(taskCommand) : undefined;
+  if (taskId === undefined) return {};
+  return { taskId, commandIndex: findTask(project, taskId)?.commands.indexOf(taskCommand) ?? -1 };
+}
+
+// HTTP API clients following a command's output (GET .../commands/:id/events)
+const commandListeners = new WeakMap(); // taskCommand -> Set of (type, data) callbacks
+const runningCommands = new WeakSet(); // started by this server process and not finished yet
+
+function notifyCommandListeners(taskCommand, type, data) {
+  const listeners = commandListeners.get(taskCommand);
+  if (!listeners) return;
+  listeners.forEach(listener => listener(type, data));
+  if (type === 'done') commandListeners.delete(taskCommand);
+}
+
+function findTaskCommandById(project, id) {
+  for (const task of loadTasks(project)) {
+    const taskCommand = task.commands.find(cmd => cmd.id === id);
+    if (taskCommand) return { task, taskCommand };
+  }
+  return null;
+}
+
+function commandStatus(project, taskCommand) {
+  if (taskCommand.cancelled) return 'cancelled';
+  if (taskCommand.timedOut) return 'timeout';
+  if (taskCommand.finishedAt) return taskCommand.exitCode === 0 ? 'completed' : 'failed';
+  if (!taskCommand.startedAt) return 'queued';
+  // Started before a server restart and never finished
+  return runningCommands.has(taskCommand) ? 'running' : 'interrupted';
+}
+
+// What the HTTP API reports for a command (the transcript is in the event stream)
+function commandSummary(project, taskCommand) {
+  const state = getProjectState(project);
+  const result = taskCommand.events.filter(event => event.kind === 'result').pop();
+  const queueIndex = state.commandQueue.findIndex(q => q.options?.taskCommand === taskCommand);
+  return {
+    id: taskCommand.id,
+    taskId: loadTasks(project).find(task => task.commands.includes(taskCommand))?.id ?? null,
+    prompt: taskCommand.prompt,
+    status: commandStatus(project, taskCommand),
+    queuePosition: queueIndex >= 0 ? queueIndex + 1 : null,
+    startedAt: taskCommand.startedAt,
+    finishedAt: taskCommand.finishedAt,
+    exitCode: taskCommand.exitCode,
+    result: result ? result.result ?? null : null,
+    isError: result ? result.isError : null,
+    durationMs: result ? result.durationMs ?? null : null,
+    usage: taskCommand.usage || null,
+    changedFiles: taskCommand.changedFiles || []
+  };
+}
+
+// Command queue - items wait while Claude is busy or the queue is paused, and survive restarts
+function getQueueFile(projectName) {
+  return path.join(QUEUES_DIR, `${encodeURIComponent(projectName)}.json`);
+}
+
+function loadQueue(projectName) {
+  try {
+    const file = getQueueFile(projectName);
+    if (fs.existsSync(file)) {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      // Items that could never run (e.g. saved before attachments were validated) are dropped
+      const items = saved.items.filter(item => typeof item.command === 'string' && (item.files == null || isValidAttachmentList(item.files))).map(item => {
+        // Reattach the queued command to its place in the task transcript (by id; older queues saved only the index)
+        const commands = item.options.taskId != null ? findTask(projectName, item.options.taskId)?.commands || [] : [];
+        const taskCommand = item.commandId ? commands.find(cmd => cmd.id === item.commandId) : commands[item.commandIndex];
+        if (taskCommand) taskCommandOwners.set(taskCommand, item.options.taskId);
+        return { id: item.id, command: item.command, files: item.files, options: { ...item.options, taskCommand: taskCommand || undefined } };
+      });
+      return { items, paused: !!saved.paused };
+    }
+  } catch (e) {
+    console.log('Could not load queue for', projectName + ':', e.message);
+  }
+  return { items: [], paused: false };
+}
+
+function writeQueue(projectName) {
+  const state = getProjectState(projectName);
+  const items = state.commandQueue.map(({ id, command, files, options }) => {
+    const { taskCommand, ...rest } = options;
+    return { id, command, files, options: rest, commandId: taskCommand?.id ?? null, commandIndex: commandLocation(projectName, taskCommand).commandIndex ?? null };
+  });
+  // Queued commands must be in the saved transcript before the queue refers to them
+  if (taskSaveTimers.has(projectName)) {
+    writeTasks(projectName);
+  }
+  try {
+    fs.mkdirSync(QUEUES_DIR, { recursive: true });
+    fs.writeFileSync(getQueueFile(projectName), JSON.stringify({ paused: state.queuePaused, items }));
+  } catch (e) {
+    console.log('Could not save queue for', projectName + ':', e.message);
+  }
+}
+
+// Attachments as clients send them: { name, data, type, isImage }, optionally with a picked element.
+// Images are saved under their name in .claude-temp, so theirs must be a plain file name.
+function isValidAttachmentList(files) {
+  return Array.isArray(files) && files.every(f => f && typeof f === 'object' && typeof f.name === 'string' && typeof f.data === 'string' &&
+    (!f.isImage || (/^[^/\\\0]+$/.test(f.name) && f.name !== '.' && f.name !== '..')));
+}
+
+// What clients see of a queue item (attachments without their contents)
+function queueItemSummary(item) {
+  return {
+    id: item.id,
+    command: item.command,
+    files: (item.files || []).map(f => ({ name: f.name, isImage: !!f.isImage })),
+    taskId: item.options?.taskId ?? null,
+    planOnly: !!item.options?.planOnly
+  };
+}
+
+// Persist the queue and push it to every client viewing the project
+function queueChanged(project) {
+  const state = getProjectState(project);
+  writeQueue(project);
+  broadcast(project, { type: 'queue-update', project, queue: state.commandQueue.map(queueItemSummary), paused: state.queuePaused });
+}
+
+function findQueueItem(project, id) {
+  return getProjectState(project).commandQueue.find(q => q.id === id) || null;
+}
+
+// Drop a queued command; it stays in the task transcript marked as not run
+function removeQueueItem(project, id) {
+  const state = getProjectState(project);
+  const item = findQueueItem(project, id);
+  if (!item) return false;
+  state.commandQueue.splice(state.commandQueue.indexOf(item), 1);
+  if (item.options?.taskCommand) {
+    item.options.taskCommand.cancelled = true;
+    emitClaudeOutput(project, '\n🗑️ Fjernet fra køen - ikke kørt.\n', item.options.taskCommand);
+    finishTaskCommand(project, item.options.taskId, item.options.taskCommand, null);
+  }
+  queueChanged(project);
+  return true;
+}
+
+function moveQueueItem(project, id, toIndex) {
+  const state = getProjectState(project);
+  const item = findQueueItem(project, id);
+  if (!item || !Number.isInteger(toIndex)) return false;
+  state.commandQueue.splice(state.commandQueue.indexOf(item), 1);
+  state.commandQueue.splice(Math.max(0, Math.min(toIndex, state.commandQueue.length)), 0, item);
+  queueChanged(project);
+  return true;
+}
+
+// Change the prompt and/or attachments of a queued command.
+// files replaces all attachments; removeFiles (indexes) and addFiles adjust the current ones.
+function editQueueItem(project, id, { command, files, removeFiles, addFiles }) {
+  const item = findQueueItem(project, id);
+  if (!item) return false;
+  if ((files !== undefined && !isValidAttachmentList(files)) || (addFiles !== undefined && !isValidAttachmentList(addFiles))) {
+    return false;
+  }
+  if (typeof command === 'string' && command.trim()) {
+    item.command = command.trim();
+    if (item.options?.taskCommand) {
+      item.options.taskCommand.prompt = item.command;
+      saveTasks(project);
+      broadcastTaskUpdate(project, item.options.taskId, item.options.taskCommand);
+    }
+  }
+  if (Array.isArray(files)) {
+    item.files = files;
+  }
+  if (Array.isArray(removeFiles)) {
+    item.files = (item.files || []).filter((f, index) => !removeFiles.includes(index));
+  }
+  if (Array.isArray(addFiles)) {
+    item.files = [...(item.files || []), ...addFiles];
+  }
+  queueChanged(project);
+  return true;
+}
+
+function setQueuePaused(project, paused) {
+  const state = getProjectState(project);
+  state.queuePaused = paused;
+  queueChanged(project);
+  if (!paused && !state.claudeProcess) {
+    processNextInQueue(project);
+  }
+}
+
+// Tell clients about a task's status/name, and about a newly added command
+function broadcastTaskUpdate(project, taskId, newCommand = null) {
+  const task = findTask(project, taskId);
+  if (!task) return;
+  const message = { type: 'task-update', project, task: taskSummary(task) };
+  if (newCommand) {
+    message.command = { index: task.commands.indexOf(newCommand), prompt: newCommand.prompt };
+  }
+  broadcast(project, message);
+}
+
+// Git checkpoints - snapshots of the working tree taken around each Claude command.
+// Snapshots are written with a temporary index and kept alive by hidden refs under
+// refs/claude-editor/, so the user's HEAD, branch and staging area are never touched.
+const CHECKPOINT_REF_PREFIX = 'refs/claude-editor/checkpoints/';
+const BACKUP_REF_PREFIX = 'refs/claude-editor/backups/'; // State just before a revert, never pruned
+const GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'Claude Editor',
+  GIT_AUTHOR_EMAIL: 'claude-editor@localhost',
+  GIT_COMMITTER_NAME: 'Claude Editor',
+  GIT_COMMITTER_EMAIL: 'claude-editor@localhost'
+};
+
+// Run a git command, resolving with stdout (trimmed unless raw is set)
+function runGit(args, cwd, { env = {}, input = null, raw = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, { cwd, env: { ...process.env, ...env }, maxBuffer: 100 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = (stderr || '').trim() || err.message;
+        err.stdout = stdout;
+        reject(err);
+      } else {
+        resolve(raw ? stdout : stdout.trim());
+      }
+    });
+    if (input !== null) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+async function isGitRepo(projectPath) {
+  try {
+    return (await runGit(['rev-parse', '--is-inside-work-tree'], projectPath)) === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Run fn with GIT_INDEX_FILE pointing at a throwaway index, optionally seeded from the real one
+async function withTempIndex(projectPath, seed, fn) {
+  const tmpIndex = path.join(os.tmpdir(), `claude-editor-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  try {
+    if (seed) {
+      // Copying the real index keeps git's stat cache, so large repos snapshot quickly
+      const realIndex = path.resolve(projectPath, await runGit(['rev-parse', '--git-path', 'index'], projectPath));
+      if (fs.existsSync(realIndex)) fs.copyFileSync(realIndex, tmpIndex);
+    }
+    return await fn({ GIT_INDEX_FILE: tmpIndex });
+  } finally {
+    fs.rmSync(tmpIndex, { force: true });
+  }
+}
+
+// Commit the full working tree (tracked + untracked, respecting .gitignore) to a hidden ref
+async function snapshotWorkingTree(projectPath, message, refPrefix = CHECKPOINT_REF_PREFIX) {
+  const tree = await withTempIndex(projectPath, true, async env => {
+    await runGit(['add', '-A', ':/'], projectPath, { env });
+    return runGit(['write-tree'], projectPath, { env });
+  });
+  let head = null;
+  try {
+    head = await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], projectPath);
+  } catch (e) {
+    // Fresh repo without commits
+  }
+  const commit = await runGit(['commit-tree', tree, ...(head ? ['-p', head] : []), '-m', message], projectPath, { env: GIT_IDENTITY });
+  if (refPrefix) {
+    await runGit(['update-ref', refPrefix + commit, commit], projectPath);
+  }
+  return commit;
+}
+
+// Remove checkpoint refs that no remaining task command points at
+async function pruneCheckpointRefs(project, projectPath) {
+  if (!(await isGitRepo(projectPath))) return;
+  // Worktrees share the repository's refs, so keep whatever any of them still uses
+  const base = baseProjectName(project);
+  const workspaces = [base, ...(await listWorktrees(base)).map(w => w.key)];
+  const inUse = new Set();
+  for (const task of workspaces.flatMap(workspace => loadTasks(workspace))) {
+    for (const cmd of task.commands) {
+      if (cmd.checkpoint?.before) inUse.add(cmd.checkpoint.before);
+      if (cmd.checkpoint?.after) inUse.add(cmd.checkpoint.after);
+    }
+  }
+  const refs = (await runGit(['for-each-ref', '--format=%(refname)', CHECKPOINT_REF_PREFIX], projectPath)).split('\n').filter(Boolean);
+  for (const ref of refs) {
+    if (!inUse.has(ref.substring(CHECKPOINT_REF_PREFIX.length))) {
+      await runGit(['update-ref', '-d', ref], projectPath);
+    }
+  }
+}
+
+// Undo the changes between two snapshots by reverse-applying their diff.
+// Edits made outside that range are kept; overlapping edits are reported as conflicts.
+async function revertCheckpointRange(projectPath, from, to) {
+  const repoRoot = await runGit(['rev-parse', '--show-toplevel'], projectPath);
+  const patch = await runGit(['diff', '--binary', '--no-color', '--no-renames', from, to], repoRoot, { raw: true });
+  if (!patch.trim()) {
+    return { files: [], backup: null };
+  }
+  const files = (await runGit(['diff', '--name-only', '--no-renames', '-z', from, to], repoRoot, { raw: true })).split('\0').filter(Boolean);
+
+  try {
+    await runGit(['apply', '-R', '--check', '--whitespace=nowarn'], repoRoot, { input: patch });
+  } catch (e) {
+    const conflicts = [...new Set([...e.message.matchAll(/error: (?:patch failed: )?(.+?)(?::\d+)?(?:: .*)?$/gm)].map(m => m[1]))];
+    return { files, conflicts, message: e.message };
+  }
+
+  const backup = await snapshotWorkingTree(projectPath, 'claude-editor: before revert', BACKUP_REF_PREFIX);
+  await runGit(['apply', '-R', '--whitespace=nowarn'], repoRoot, { input: patch });
+  return { files, backup };
+}
+
+// git C-quotes paths with quotes, control characters or backslashes: "a/tab\there" (octal escapes for bytes)
+const GIT_PATH_ESCAPES = { a: 7, b: 8, f: 12, n: 10, r: 13, t: 9, v: 11 };
+function unquoteGitPath(text) {
+  if (!text.startsWith('"')) return text;
+  const bytes = [];
+  for (let i = 1; i < text.length && text[i] !== '"'; i++) {
+    if (text[i] !== '\\') {
+      const char = String.fromCodePoint(text.codePointAt(i));
+      bytes.push(...Buffer.from(char));
+      i += char.length - 1;
+    } else if (/[0-7]/.test(text[i + 1])) {
+      bytes.push(parseInt(text.substr(i + 1, 3), 8));
+      i += 3;
+    } else {
+      i++;
+      bytes.push(GIT_PATH_ESCAPES[text[i]] ?? text.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+// Path of one file's diff: from the ---/+++ lines, or the header for binary and mode-only changes
+function diffChunkPath(chunk) {
+  for (const [marker, prefix] of [['+++ ', 'b/'], ['--- ', 'a/']]) {
+    const line = chunk.split('\n@@')[0].split('\n').find(l => l.startsWith(marker));
+    // git ends the line with a tab when the path has spaces
+    const file = line && unquoteGitPath(line.substring(marker.length).replace(/\t$/, ''));
+    if (file && file.startsWith(prefix)) return file.substring(prefix.length);
+  }
+  const header = chunk.substring('diff --git '.length, chunk.indexOf('\n'));
+  if (header.startsWith('"')) return unquoteGitPath(header).substring(2);
+  // "a/<path> b/<path>" - the same path twice, as renames are not detected
+  return header.substring(2, 2 + (header.length - 5) / 2);
+}
+
+// Split `git diff` output into one entry per file
+const MAX_FILE_DIFF = 200000;
+function parseUnifiedDiff(output) {
+  return output.split(/^(?=diff --git )/m).filter(chunk => chunk.startsWith('diff --git ')).map(chunk => {
+    const binary = /^Binary files /m.test(chunk);
+    return {
+      path: diffChunkPath(chunk),
+      status: /^new file mode/m.test(chunk) ? 'added' : /^deleted file mode/m.test(chunk) ? 'deleted' : 'modified',
+      binary,
+      diff: binary ? null : chunk.substring(0, MAX_FILE_DIFF),
+      truncated: chunk.length > MAX_FILE_DIFF
+    };
+  });
+}
+
+// Per-file unified diffs between two snapshots, optionally limited to some project-relative paths
+async function diffCheckpoints(projectPath, from, to, paths = []) {
+  const pathspecs = paths.map(p => `:(literal)${p}`);
+  const output = await runGit(['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-renames', '--relative', from, to, '--', ...pathspecs], projectPath, { raw: true });
+  return parseUnifiedDiff(output);
+}
+
+// Put every file back exactly as it was in a snapshot, discarding later edits
+async function restoreCheckpoint(projectPath, commit) {
+  const repoRoot = await runGit(['rev-parse', '--show-toplevel'], projectPath);
+  const backup = await snapshotWorkingTree(projectPath, 'claude-editor: before restore', BACKUP_REF_PREFIX);
+  const parts = (await runGit(['diff', '--name-status', '--no-renames', '-z', commit, backup], repoRoot, { raw: true })).split('\0');
+
+  const removed = [];
+  const restored = [];
+  for (let i = 0; i + 1 < parts.length; i += 2) {
+    // Files that did not exist at the checkpoint are deleted, everything else is checked out
+    (parts[i] === 'A' ? removed : restored).push(parts[i + 1]);
+  }
+
+  for (const file of removed) {
+    fs.rmSync(path.join(repoRoot, file), { force: true });
+  }
+  if (restored.length > 0) {
+    await withTempIndex(projectPath, false, async env => {
+      await runGit(['read-tree', commit], repoRoot, { env });
+      for (let i = 0; i < restored.length; i += 200) {
+        await runGit(['checkout-index', '-f', '--', ...restored.slice(i, i + 200)], repoRoot, { env });
+      }
+    });
+  }
+  return { files: [...restored, ...removed], backup };
+}
+
+function worktreeKey(project, name) {
+  return `${project}@${name}`;
+}
+
+// Task worktrees of a project, as registered with git
+async function listWorktrees(project) {
+  const root = path.join(getProjectPath(project), WORKTREES_DIR);
+  if (!fs.existsSync(root) || !(await isGitRepo(root))) return [];
+  const realRoot = fs.realpathSync(root);
+  const output = await runGit(['worktree', 'list', '--porcelain'], root);
+  const worktrees = [];
+  for (const block of output.split(/\n\n+/)) {
+    const worktreePath = block.match(/^worktree (.+)$/m)?.[1];
+    if (!worktreePath || path.dirname(path.resolve(worktreePath)) !== realRoot) continue;
+    const name = path.basename(worktreePath);
+    const key = worktreeKey(project, name);
+    worktrees.push({
+      name,
+      key,
+      branch: block.match(/^branch refs\/heads\/(.+)$/m)?.[1] || null,
+      claudeReady: !!projects.get(key)?.claudeReady,
+      port: config.projectPorts[key] || null
+    });
+  }
+  return worktrees;
+}
+
+// Branch off HEAD into <project>/.claude-worktrees/<name>, hidden from the project's own git status
+async function createWorktree(project, name) {
+  const projectPath = getProjectPath(project);
+  const excludeFile = path.resolve(projectPath, await runGit(['rev-parse', '--git-path', 'info/exclude'], projectPath));
+  const exclude = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, 'utf8') : '';
+  if (!exclude.split('\n').includes(`/${WORKTREES_DIR}/`)) {
+    fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+    fs.appendFileSync(excludeFile, `${exclude && !exclude.endsWith('\n') ? '\n' : ''}/${WORKTREES_DIR}/\n`);
+  }
+  await runGit(['worktree', 'add', '-b', WORKTREE_BRANCH_PREFIX + name, path.join(projectPath, WORKTREES_DIR, name), 'HEAD'], projectPath);
+  return (await listWorktrees(project)).find(w => w.name === name);
+}
+
+async function isAncestor(projectPath, commit, of) {
+  try {
+    await runGit(['merge-base', '--is-ancestor', commit, of], projectPath);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Commit what Claude left in the worktree so it can be merged
+async function commitWorktree(project, worktree) {
+  const worktreePath = path.join(getProjectPath(project), WORKTREES_DIR, worktree.name);
+  if (!(await runGit(['status', '--porcelain'], worktreePath))) return null;
+  await runGit(['add', '-A', '--', '.', ':!.claude-temp'], worktreePath);
+  const taskNames = loadTasks(worktree.key).map(task => `- ${task.name}`).join('\n');
+  await runGit(['commit', '--no-verify', '--no-gpg-sign', '-m', `Claude Editor worktree ${worktree.name}`, ...(taskNames ? ['-m', taskNames] : [])], worktreePath, { env: GIT_IDENTITY });
+  return runGit(['rev-parse', 'HEAD'], worktreePath);
+}
+
+// Merge a worktree's branch into the branch checked out in the project.
+// Conflicts are found with merge-tree first, so a failed merge never touches the project's files.
+async function mergeWorktree(project, worktree) {
+  const projectPath = getProjectPath(project);
+  await commitWorktree(project, worktree);
+
+  let target;
+  try {
+    target = await runGit(['symbolic-ref', '--quiet', '--short', 'HEAD'], projectPath);
+  } catch (e) {
+    throw new Error('The project has no branch checked out (detached HEAD)');
+  }
+  if (await isAncestor(projectPath, worktree.branch, 'HEAD')) {
+    return { merged: false, upToDate: true, target, branch: worktree.branch, files: [] };
+  }
+
+  try {
+    await runGit(['merge-tree', '--write-tree', '--name-only', '--no-messages', 'HEAD', worktree.branch], projectPath);
+  } catch (e) {
+    if (e.code !== 1) throw e;
+    // Exit code 1: first line is the merged tree, the rest are conflicted paths
+    const conflicts = e.stdout.trim().split('\n').slice(1).filter(Boolean);
+    return { merged: false, target, branch: worktree.branch, conflicts, message: `${conflicts.length} file(s) changed in both ${target} and worktree ${worktree.name}` };
+  }
+
+  const backup = await snapshotWorkingTree(projectPath, 'claude-editor: before merge', BACKUP_REF_PREFIX);
+  try {
+    await runGit(['merge', '--no-ff', '--no-verify', '--no-gpg-sign', '-m', `Merge worktree ${worktree.name} (${worktree.branch})`, worktree.branch], projectPath, { env: GIT_IDENTITY });
+  } catch (e) {
+    // Usually uncommitted edits in the project that the merge would overwrite - git lists them indented
+    await runGit(['merge', '--abort'], projectPath).catch(() => {});
+    const conflicts = [...e.message.matchAll(/^\t(.+)$/gm)].map(m => m[1]);
+    return { merged: false, target, branch: worktree.branch, conflicts, message: e.message };
+  }
+  const commit = await runGit(['rev-parse', 'HEAD'], projectPath);
+  const files = (await runGit(['diff', '--name-only', '-z', 'HEAD^1', 'HEAD'], projectPath, { raw: true })).split('\0').filter(Boolean);
+  return { merged: true, target, branch: worktree.branch, commit, files, backup };
+}
+
+// Whether removing the worktree would lose work that is not in the project's branch
+async function worktreeHasUnmergedWork(project, worktree) {
+  const worktreePath = path.join(getProjectPath(project), WORKTREES_DIR, worktree.name);
+  if (await runGit(['status', '--porcelain'], worktreePath)) return true;
+  return !!worktree.branch && !(await isAncestor(getProjectPath(project), worktree.branch, 'HEAD'));
+}
+
+// Stop the worktree's processes, remove it and its branch, and forget its workspace data
+async function removeWorktree(project, worktree) {
+  const projectPath = getProjectPath(project);
+  const { key } = worktree;
+  if (projects.has(key)) {
+    stopClaude(key);
+    stopNetlify(key);
+    broadcast(key, { type: 'worktree-removed', project: key });
+  }
+
+  await runGit(['worktree', 'remove', '--force', path.join(projectPath, WORKTREES_DIR, worktree.name)], projectPath);
+  if (worktree.branch) {
+    await runGit(['branch', '-D', worktree.branch], projectPath);
+  }
+
+  projects.delete(key);
+  clearTimeout(taskSaveTimers.get(key));
+  taskSaveTimers.delete(key);
+  taskStore.delete(key);
+  fs.rmSync(getTasksFile(key), { force: true });
+  fs.rmSync(getQueueFile(key), { force: true });
+  if (config.projectPorts[key]) {
+    delete config.projectPorts[key];
+    saveConfig(config);
+  }
+  await pruneCheckpointRefs(project, projectPath);
+}
+
+async function broadcastWorktrees(project) {
+  broadcast(project, { type: 'worktrees-update', project, worktrees: await listWorktrees(project) });
+}
+
+// Service dashboard links: discovered from the project, then the manifest's "services", then config.projectServices overrides
+const SERVICE_NAMES = ['github', 'netlify', 'supabase'];
+const ENV_FILES = ['.env', '.env.local', '.env.development', '.env.development.local', '.env.production'];
+
+// git@github.com:Org/Repo.git, ssh://git@github.com/Org/Repo and https://github.com/Org/Repo.git -> https://github.com/Org/Repo
+function githubUrlFromRemote(remote) {
+  const match = remote.match(/github\.com[:/]+([^/\s]+)\/([^/\s]+?)(?:\.git)?\/?$/i);
+  return match ? `https://github.com/${match[1]}/${match[2]}` : null;
+}
+
+function readFileIfExists(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+async function discoverServices(projectPath) {
+  const services = {};
+
+  try {
+    services.github = githubUrlFromRemote(await runGit(['remote', 'get-url', 'origin'], projectPath));
+  } catch (e) {
+    // Not a git repo or no origin
+  }
+
+  // `netlify link` stores the site id; netlify.toml alone only tells us the project uses Netlify
+  const netlifyState = readFileIfExists(path.join(projectPath, '.netlify', 'state.json'));
+  let siteId = null;
+  try {
+    siteId = netlifyState ? JSON.parse(netlifyState).siteId : null;
+  } catch (e) {}
+  if (siteId) {
+    services.netlify = `https://app.netlify.com/site-redirect/${encodeURIComponent(siteId)}`;
+  } else if (fs.existsSync(path.join(projectPath, 'netlify.toml'))) {
+    services.netlify = 'https://app.netlify.com/';
+  }
+
+  // Supabase project ref: <ref>.supabase.co in an env file, `supabase link`, or a linked project_id
+  let ref = null;
+  for (const file of ENV_FILES) {
+    const env = readFileIfExists(path.join(projectPath, file));
+    ref = env?.match(/^\s*(?:export\s+)?[A-Z_]*SUPABASE_URL\s*=\s*["']?https:\/\/([a-z0-9]{20})\.supabase\.co/m)?.[1] || null;
+    if (ref) break;
+  }
+  ref = ref || readFileIfExists(path.join(projectPath, 'supabase', '.temp', 'project-ref'))?.trim() || null;
+  const supabaseConfig = readFileIfExists(path.join(projectPath, 'supabase', 'config.toml'));
+  if (!ref) {
+    ref = supabaseConfig?.match(/^\s*project_id\s*=\s*"([a-z0-9]{20})"/m)?.[1] || null;
+  }
+  if (ref && /^[a-z0-9]{20}$/.test(ref)) {
+    services.supabase = `https://supabase.com/dashboard/project/${ref}`;
+  } else if (supabaseConfig !== null) {
+    services.supabase = 'https://supabase.com/dashboard/projects';
+  }
+
+  for (const name of SERVICE_NAMES) {
+    if (!services[name]) delete services[name];
+  }
+  return services;
+}
+
+// Links for a project (worktrees use their project's), plus where each one came from
+async function getProjectServices(projectName) {
+  const base = baseProjectName(projectName);
+  const discovered = await discoverServices(getProjectPath(base));
+  const manifest = getProjectManifest(base)?.services || {};
+  const overrides = (config.projectServices || {})[base] || {};
+
+  const services = {};
+  const sources = {};
+  for (const [source, links] of [['discovered', discovered], ['manifest', manifest], ['config', overrides]]) {
+    for (const [name, url] of Object.entries(links)) {
+      services[name] = url;
+      sources[name] = source;
+    }
+  }
+  return { services, sources, discovered, overrides };
+}
+
+// Cross-platform: Find next available port
+async function findAvailablePort(basePort) {
+  const net = require('net');
+  for (let port = basePort; port < basePort + 100; port++) {
+    const available = await new Promise(resolve => {
+      const server = net.createServer();
+      server.once('error', () => resolve(false));
+      server.once('listening', () => {
+        server.close();
+        resolve(true);
+      });
+      server.listen(port);
+    });
+    if (available) return port;
+  }
+  return basePort;
+}
+
+// Get or assign a fixed port for a project
+async function getOrAssignProjectPort(projectName) {
+  const manifestPort = getManifestPort(projectName);
+  if (manifestPort) {
+    return manifestPort;
+  }
+
+  // Check if project already has a fixed port
+  if (config.projectPorts[projectName]) {
+    const assignedPort = config.projectPorts[projectName];
+    console.log(`Project ${projectName} has fixed port: ${assignedPort}`);
+    return assignedPort;
+  }
+
+  // Find all already assigned ports
+  const usedPorts = new Set(Object.values(config.projectPorts));
+
+  // Find next available port starting from 5173, skipping already assigned ones
+  const net = require('net');
+  for (let port = 5173; port < 5273; port++) {
+    // Skip if already assigned to another project
+    if (usedPorts.has(port)) continue;
+
+    // Check if port is actually available
+    const available = await new Promise(resolve => {
+      const server = net.createServer();
+      server.once('error', () => resolve(false));
+      server.once('listening', () => {
+        server.close();
+        resolve(true);
+      });
+      server.listen(port);
+    });
+
+    if (available) {
+      // Assign this port permanently to the project
+      config.projectPorts[projectName] = port;
+      saveConfig(config);
+      console.log(`Assigned fixed port ${port} to project ${projectName}`);
+      return port;
+    }
+  }
+
+  // Fallback if no port found
+  const fallbackPort = 5173 + Object.keys(config.projectPorts).length;
+  config.projectPorts[projectName] = fallbackPort;
+  saveConfig(config);
+  return fallbackPort;
+}
+
+// Cross-platform: Kill process by PID
+function killProcess(pid) {
+  try {
+    if (isWindows) {
+      execSync(`taskkill /PID ${pid} /F /T`, { stdio: 'ignore' });
+    } else {
+      process.kill(pid, 'SIGTERM');
+    }
+  } catch (e) {
+    // Process may already be dead
+  }
+}
+
+// Cross-platform: Check if process is running
+function isProcessRunning(pid) {
+  try {
+    if (isWindows) {
+      const result = execSync(`tasklist /FI "PID eq ${pid}" /NH`, { encoding: 'utf8' });
+      return result.includes(pid.toString());
+    } else {
+      process.kill(pid, 0);
+      return true;
+    }
+  } catch (e) {
+    return false;
+  }
+}
+
+app.use((req, res, next) => {
+  if (!isAllowedOrigin(req)) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+  if (PUBLIC_PATHS.has(req.path) || isAuthenticated(req)) {
+    return next();
+  }
+  if (req.path.startsWith('/api/')) {
+    return res.status(401).json({ error: 'Not logged in' });
+  }
+  res.redirect('/login.html');
+});
+
+// Preview proxy: /preview/<project>/ serves the project's dev server from the editor's own origin, so
+// the preview can be inspected and used from other machines. Vite is started with the prefix as its
+// base (see startNetlify) and gets the path unchanged; other dev servers get it with the prefix removed.
+const PREVIEW_PREFIX = '/preview/';
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+// Helpers the editor's tooling talks to - added to every proxied page
+const PREVIEW_HELPER_PATHS = ['/claude-editor-console.js', '/claude-editor-autofill.js', '/claude-editor-picker.js'];
+const PREVIEW_HELPERS = PREVIEW_HELPER_PATHS.map(src => `<script src="${src}"></script>`).join('');
+
+// Also encodes !'()* - the path is passed to the dev server on its command line
+function previewBasePath(project) {
+  const segment = encodeURIComponent(project).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${PREVIEW_PREFIX}${segment}/`;
+}
+
+// /preview/<project>/rest -> { project, rest } (null when the URL isn't a preview URL)
+function parsePreviewUrl(url) {
+  if (!url.startsWith(PREVIEW_PREFIX)) return null;
+  const end = url.indexOf('/', PREVIEW_PREFIX.length);
+  const segment = url.substring(PREVIEW_PREFIX.length, end === -1 ? url.length : end).split('?')[0];
+  let project;
+  try {
+    project = decodeURIComponent(segment);
+  } catch (e) {
+    return null;
+  }
+  return { project, rest: end === -1 ? null : url.substring(end) };
+}
+
+// Where a preview request goes - null when the project has no running dev server
+function getPreviewTarget(project, url) {
+  const state = isValidProjectName(project) ? projects.get(project) : null;
+  const port = state?.netlifyProcess ? getDevProbePort(state) : null;
+  if (!port) return null;
+  const parsed = parsePreviewUrl(url);
+  const upstreamPath = state.previewBase || !parsed ? url : parsed.rest;
+  return { port, path: upstreamPath };
+}
+
+function previewRequestHeaders(req, port, project) {
+  const headers = { ...req.headers };
+  HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+  headers.host = `localhost:${port}`;
+  // Pages are rewritten, so ask for them uncompressed (it's a local server anyway)
+  headers['accept-encoding'] = 'identity';
+  headers['x-forwarded-host'] = req.headers.host;
+  headers['x-forwarded-proto'] = req.secure ? 'https' : 'http';
+  headers['x-forwarded-prefix'] = previewBasePath(project).slice(0, -1);
+  // The editor session stays with the editor
+  const cookies = Object.entries(parseCookies(req.headers.cookie)).filter(([name]) => name !== SESSION_COOKIE);
+  if (cookies.length) headers.cookie = cookies.map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ');
+  else delete headers.cookie;
+  return headers;
+}
+
+function sendPreviewError(res, status, message) {
+  const text = message.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+  res.status(status).type('html').send(`<!DOCTYPE html><meta charset="utf-8"><body style="font-family: sans-serif; color: #666; padding: 24px">${text}</body>`);
+}
+
+function proxyPreviewRequest(req, res, project) {
+  const target = getPreviewTarget(project, req.url);
+  if (!target) {
+    return sendPreviewError(res, 502, `Dev serveren for ${project} kører ikke.`);
+  }
+
+  const upstream = http.request({
+    host: 'localhost',
+    port: target.port,
+    method: req.method,
+    path: target.path,
+    headers: previewRequestHeaders(req, target.port, project),
+    agent: false
+  }, (upstreamRes) => {
+    const headers = { ...upstreamRes.headers };
+    HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+    // Redirects to the dev server itself (or to / when the prefix was removed) stay in the preview
+    if (headers.location) {
+      headers.location = headers.location.replace(new RegExp(`^https?://(localhost|127\\.0\\.0\\.1):${target.port}`), '');
+      if (headers.location.startsWith('/') && !headers.location.startsWith(PREVIEW_PREFIX)) {
+        headers.location = previewBasePath(project) + headers.location.substring(1);
+      }
+    }
+
+    if (!(headers['content-type'] || '').includes('text/html') || req.method === 'HEAD') {
+      res.writeHead(upstreamRes.statusCode, headers);
+      upstreamRes.pipe(res);
+      return;
+    }
+
+    const chunks = [];
+    upstreamRes.on('data', chunk => chunks.push(chunk));
+    upstreamRes.on('end', () => {
+      let html = Buffer.concat(chunks).toString('utf8');
+      const head = html.match(/<head[^>]*>/i);
+      html = head ? html.replace(head[0], head[0] + PREVIEW_HELPERS) : PREVIEW_HELPERS + html;
+      delete headers['content-length'];
+      delete headers.etag;
+      res.writeHead(upstreamRes.statusCode, headers);
+      res.end(html);
+    });
+  });
+
+  upstream.on('error', (err) => {
+    if (res.headersSent) return res.destroy();
+    sendPreviewError(res, 502, `Dev serveren for ${project} svarer ikke: ${err.message}`);
+  });
+  req.pipe(upstream);
+}
+
+// The project whose preview a request comes from (by Referer) - root-relative URLs in the app,
+// like fetch('/api/...') or '/logo.png', are sent to its dev server instead of the editor
+function getPreviewReferrer(req) {
+  try {
+    const referer = new URL(req.headers.referer);
+    return referer.host === req.headers.host ? parsePreviewUrl(referer.pathname)?.project : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+app.use((req, res, next) => {
+  const preview = parsePreviewUrl(req.url);
+  if (preview) {
+    if (!isValidProjectName(preview.project)) {
+      return sendPreviewError(res, 400, 'Ugyldigt projektnavn.');
+    }
+    if (preview.rest === null) {
+      return res.redirect(previewBasePath(preview.project) + req.url.substring(req.url.split('?')[0].length));
+    }
+    return proxyPreviewRequest(req, res, preview.project);
+  }
+
+  const project = PREVIEW_HELPER_PATHS.includes(req.path) ? null : getPreviewReferrer(req);
+  if (!project || !isValidProjectName(project)) return next();
+  // A link inside the app navigates to its page in the preview rather than the editor's
+  if (req.headers['sec-fetch-mode'] === 'navigate') {
+    return res.redirect(previewBasePath(project) + req.url.substring(1));
+  }
+  proxyPreviewRequest(req, res, project);
+});
+
+// HMR and other WebSockets of the app in the preview
+function proxyPreviewUpgrade(req, socket, head) {
+  const reject = (status, message) => {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  };
+  if (!isAllowedOrigin(req)) return reject(403, 'Forbidden');
+  if (!isAuthenticated(req)) return reject(401, 'Unauthorized');
+  const preview = parsePreviewUrl(req.url);
+  const target = preview && getPreviewTarget(preview.project, req.url);
+  if (!target) return reject(502, 'Bad Gateway');
+
+  const headers = previewRequestHeaders(req, target.port, preview.project);
+  headers.connection = 'Upgrade';
+  headers.upgrade = req.headers.upgrade;
+  const upstream = http.request({ host: 'localhost', port: target.port, path: target.path, headers, agent: false });
+
+  upstream.on('upgrade', (upstreamRes, upstreamSocket, upstreamHead) => {
+    const lines = [`HTTP/1.1 ${upstreamRes.statusCode} ${upstreamRes.statusMessage}`];
+    for (let i = 0; i < upstreamRes.rawHeaders.length; i += 2) {
+      lines.push(`${upstreamRes.rawHeaders[i]}: ${upstreamRes.rawHeaders[i + 1]}`);
+    }
+    socket.write(lines.join('\r\n') + '\r\n\r\n');
+    if (upstreamHead.length) socket.write(upstreamHead);
+    if (head.length) upstreamSocket.write(head);
+    upstreamSocket.pipe(socket).pipe(upstreamSocket);
+    upstreamSocket.on('error', () => socket.destroy());
+    socket.on('error', () => upstreamSocket.destroy());
+  });
+  // The dev server refused the upgrade
+  upstream.on('response', (upstreamRes) => {
+    upstreamRes.resume();
+    reject(upstreamRes.statusCode, upstreamRes.statusMessage);
+  });
+  upstream.on('error', () => reject(502, 'Bad Gateway'));
+  upstream.end();
+}
+
+server.on('upgrade', (req, socket, head) => {
+  if (parsePreviewUrl(req.url)) return proxyPreviewUpgrade(req, socket, head);
+  wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+});
+
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json({ limit: '5mb' })); // Room for files saved from the code editor
+
+// Every :project must name a project folder (or task worktree) inside the projects path
+app.param('project', (req, res, next, project) => {
+  if (!isValidProjectName(project)) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  next();
+});
+
+// Log in with the access token or password; five wrong attempts lock the address out for a minute
+app.post('/api/login', (req, res) => {
+  const ip = req.socket.remoteAddress;
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) {
+    if (entry.until <= now && entry.last < now - LOGIN_FAILURE_WINDOW) loginFailures.delete(key);
+  }
+  let failures = loginFailures.get(ip);
+  if (failures?.until > now) {
+    return res.status(429).json({ error: 'Too many attempts - try again in a minute' });
+  }
+  // A lockout that has run out starts the count over
+  if (failures?.until) failures = null;
+
+  const password = typeof req.body?.password === 'string' ? req.body.password : '';
+  if (!password || !checkLoginSecret(password)) {
+    const count = (failures?.count || 0) + 1;
+    loginFailures.set(ip, { count, until: count >= 5 ? now + LOGIN_LOCKOUT : 0, last: now });
+    return res.status(401).json({ error: 'Wrong password or token' });
+  }
+
+  loginFailures.delete(ip);
+  const expires = Date.now() + SESSION_MAX_AGE;
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${expires}.${signSession(expires)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_MAX_AGE / 1000}${req.secure ? '; Secure' : ''}`);
+  res.json({ success: true });
+});
+
+app.post('/api/logout', (req, res) => {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+  res.json({ success: true });
+});
+
+// Get config
+app.get('/api/config', (req, res) => {
+  res.json({
+    projectsPath: config.projectsPath,
+    isConfigured: !!config.projectsPath,
+    platform: process.platform,
+    projectPorts: config.projectPorts || {}
+  });
+});
+
+// Get assigned port for a specific project
+app.get('/api/project-port/:project', async (req, res) => {
+  const projectName = req.params.project;
+  const port = await getOrAssignProjectPort(projectName);
+  res.json({ project: projectName, port });
+});
+
+// Set projects path
+app.post('/api/config', (req, res) => {
+  const { projectsPath } = req.body;
+
+  if (!projectsPath) {
+    return res.status(400).json({ error: 'projectsPath is required' });
+  }
+
+  // Verify the path exists and is a directory
+  try {
+    const stats = fs.statSync(projectsPath);
+    if (!stats.isDirectory()) {
+      return res.status(400).json({ error: 'Path is not a directory' });
+    }
+  } catch (e) {
+    return res.status(400).json({ error: 'Path does not exist' });
+  }
+
+  config.projectsPath = projectsPath;
+  saveConfig(config);
+  res.json({ success: true, projectsPath });
+});
+
+// Browse directory (for folder picker)
+app.get('/api/browse', (req, res) => {
+  const requestedPath = req.query.path || (isWindows ? 'C:\\' : '/');
+
+  try {
+    const items = fs.readdirSync(requestedPath, { withFileTypes: true });
+    const dirs = items
+      .filter(item => item.isDirectory() && !item.name.startsWith('.'))
+      .map(item => ({
+        name: item.name,
+        path: path.join(requestedPath, item.name)
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({
+      current: requestedPath,
+      parent: path.dirname(requestedPath),
+      directories: dirs
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New projects are scaffolded from a template folder (templates/, and config.templatesPath if set)
+// or cloned from a git repository. template.json in a template names it and is not copied.
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_META_FILE = 'template.json';
+const NEW_PROJECT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._ -]{0,63}$/;
+
+// Templates by id (folder name) - one in config.templatesPath replaces a built-in one with the same id
+function listTemplates() {
+  const templates = new Map();
+  for (const dir of [TEMPLATES_DIR, config.templatesPath].filter(Boolean)) {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+      const templatePath = path.join(dir, entry.name);
+      let meta = {};
+      try {
+        meta = JSON.parse(fs.readFileSync(path.join(templatePath, TEMPLATE_META_FILE), 'utf8'));
+      } catch (e) {}
+      templates.set(entry.name, { id: entry.name, name: meta.name || entry.name, description: meta.description || '', path: templatePath });
+    }
+  }
+  return [...templates.values()];
+}
+
+// Copy a template and fill in {{projectName}} and {{packageName}} in its text files
+function copyTemplate(template, projectPath, projectName) {
+  const metaFile = path.join(template.path, TEMPLATE_META_FILE);
+  fs.cpSync(template.path, projectPath, { recursive: true, filter: src => src !== metaFile });
+  const packageName = projectName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[._-]+/, '') || 'app';
+  for (const file of fs.readdirSync(projectPath, { recursive: true })) {
+    const filePath = path.join(projectPath, file);
+    if (!fs.statSync(filePath).isFile()) continue;
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.includes(0)) continue;
+    const text = buffer.toString('utf8');
+    if (!text.includes('{{')) continue;
+    fs.writeFileSync(filePath, text.replace(/\{\{projectName\}\}/g, projectName).replace(/\{\{packageName\}\}/g, packageName));
+  }
+}
+
+// Templates to create a project from
+app.get('/api/templates', (req, res) => {
+  res.json(listTemplates().map(({ id, name, description }) => ({ id, name, description })));
+});
+
+// Create a project from a template ({ name, template }) or a git repository URL or path ({ name, repository }).
+// Dependencies are installed in the background (the dev server waits for it), and an optional prompt
+// is started right away as the project's first task.
+app.post('/api/projects', async (req, res) => {
+  const projectsPath = getProjectsPath();
+  if (!projectsPath) {
+    return res.status(400).json({ error: 'Projects path not configured' });
+  }
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  const { template: templateId, repository } = req.body || {};
+  const prompt = typeof req.body?.prompt === 'string' ? req.body.prompt.trim() : '';
+  if (!NEW_PROJECT_NAME_PATTERN.test(name) || !isPlainProjectName(name)) {
+    return res.status(400).json({ error: 'name must be 1-64 letters, digits, spaces, ".", "_" or "-"' });
+  }
+  const projectPath = getProjectPath(name);
+  if (fs.existsSync(projectPath)) {
+    return res.status(409).json({ error: `Project ${name} already exists` });
+  }
+  if (!templateId === !repository) {
+    return res.status(400).json({ error: 'Give either a template or a repository' });
+  }
+  const template = templateId ? listTemplates().find(t => t.id === templateId) : null;
+  if (templateId && !template) {
+    return res.status(400).json({ error: `Unknown template: ${templateId}` });
+  }
+  if (repository && (typeof repository !== 'string' || repository.trim().startsWith('-') || /[\0\r\n]/.test(repository))) {
+    return res.status(400).json({ error: 'repository must be a git URL or path' });
+  }
+
+  try {
+    if (template) {
+      copyTemplate(template, projectPath, name);
+      // A repository from the start, so the first command can be checkpointed
+      await runGit(['init'], projectPath);
+      await runGit(['add', '-A'], projectPath);
+      await runGit(['commit', '--no-verify', '--no-gpg-sign', '-m', `Create project from template ${template.name}`], projectPath, { env: GIT_IDENTITY });
+    } else {
+      await runGit(['clone', '--', repository.trim(), projectPath], projectsPath, { env: { GIT_TERMINAL_PROMPT: '0' } });
+    }
+  } catch (e) {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+    return res.status(500).json({ error: e.message });
+  }
+
+  const port = await getOrAssignProjectPort(name);
+  if (fs.existsSync(path.join(projectPath, 'package.json')) && !fs.existsSync(path.join(projectPath, 'node_modules'))) {
+    installDependencies(name).catch(() => {});
+  }
+
+  let taskId = null;
+  if (prompt) {
+    taskId = Date.now();
+    startClaude(name);
+    sendCommand(prompt, [], name, false, { taskId, taskName: prompt.length > 50 ? `${prompt.substring(0, 50)}...` : prompt });
+  }
+  console.log(`Created project ${name} from ${template ? `template ${template.id}` : repository}`);
+  res.json({ project: name, port, taskId });
+});
+
+// Get list of projects (sorted by most recently modified)
+app.get('/api/projects', (req, res) => {
+  const projectsPath = getProjectsPath();
+
+  if (!projectsPath) {
+    return res.status(400).json({ error: 'Projects path not configured' });
+  }
+
+  try {
+    const items = fs.readdirSync(projectsPath, { withFileTypes: true });
+    const projects = items
       .filter(item => item.isDirectory() && !item.name.startsWith('.'))
       .map(item => {
         const fullPath = path.join(projectsPath, item.name);
@@ -251,6 +1882,752 @@ app.get('/api/projects', (req, res) => {
   }
 });
 
+// List tasks for a project (without transcripts)
+app.get('/api/projects/:project/tasks', (req, res) => {
+  res.json(loadTasks(req.params.project).map(taskSummary));
+});
+
+// Get a single task including all commands and their output
+app.get('/api/projects/:project/tasks/:taskId', (req, res) => {
+  const task = findTask(req.params.project, Number(req.params.taskId));
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  res.json(task);
+});
+
+// Rename a task
+app.patch('/api/projects/:project/tasks/:taskId', (req, res) => {
+  const { project } = req.params;
+  const task = findTask(project, Number(req.params.taskId));
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  task.name = name;
+  writeTasks(project);
+  broadcastTaskUpdate(project, task.id);
+  res.json(taskSummary(task));
+});
+
+// Get permission settings for a project
+app.get('/api/projects/:project/permissions', (req, res) => {
+  res.json({ ...getProjectPermissions(req.params.project), modes: PERMISSION_MODES, source: getPermissionsSource(req.params.project) });
+});
+
+// Update permission settings for a project
+app.put('/api/projects/:project/permissions', (req, res) => {
+  const { project } = req.params;
+  const { permissionMode, allowedTools = [], disallowedTools = [], additionalDirectories = [] } = req.body;
+
+  if (!PERMISSION_MODES.includes(permissionMode)) {
+    return res.status(400).json({ error: `permissionMode must be one of: ${PERMISSION_MODES.join(', ')}` });
+  }
+
+  const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+  if (!isStringList(allowedTools) || !isStringList(disallowedTools) || !isStringList(additionalDirectories)) {
+    return res.status(400).json({ error: 'allowedTools, disallowedTools and additionalDirectories must be lists of strings' });
+  }
+
+  // Additional directories are relative to the project unless absolute
+  const projectPath = getProjectPath(project);
+  for (const dir of additionalDirectories) {
+    try {
+      if (!fs.statSync(path.resolve(projectPath, dir)).isDirectory()) {
+        return res.status(400).json({ error: `Not a directory: ${dir}` });
+      }
+    } catch (e) {
+      return res.status(400).json({ error: `Directory does not exist: ${dir}` });
+    }
+  }
+
+  const clean = list => list.map(item => item.trim()).filter(Boolean);
+  config.projectPermissions = config.projectPermissions || {};
+  config.projectPermissions[project] = {
+    permissionMode,
+    allowedTools: clean(allowedTools),
+    disallowedTools: clean(disallowedTools),
+    additionalDirectories: clean(additionalDirectories).map(dir => path.resolve(projectPath, dir))
+  };
+  saveConfig(config);
+  res.json({ ...getProjectPermissions(project), modes: PERMISSION_MODES, source: 'config' });
+});
+
+// Manifest for a project, plus a suggestion from today's detection to start from
+app.get('/api/projects/:project/manifest', async (req, res) => {
+  const { project } = req.params;
+  const projectPath = getProjectPath(project);
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  const { manifest, errors, raw } = readProjectManifest(project);
+  const detected = detectDevCommand(projectPath);
+  const suggestion = { dev: {}, services: await discoverServices(getProjectPath(baseProjectName(project))) };
+  if (detected?.type === 'netlify') {
+    suggestion.dev.netlify = true;
+  } else if (detected) {
+    suggestion.dev.command = `${detected.cmd} ${detected.args.join(' ')}`;
+    if (detected.type === 'vite') suggestion.dev.portArgs = ['--port', '{port}'];
+    else if (detected.type.includes('dev')) suggestion.dev.portArgs = ['--', '--port', '{port}'];
+  }
+  if (config.projectPorts[project]) {
+    suggestion.dev.port = config.projectPorts[project];
+  }
+  const configured = getConfiguredPermissions(project);
+  if (configured) {
+    suggestion.permissions = { ...configured };
+  }
+
+  res.json({ file: MANIFEST_FILE, exists: raw !== null, manifest, errors, raw, suggestion });
+});
+
+// Create or replace a project's manifest ({ manifest })
+app.put('/api/projects/:project/manifest', (req, res) => {
+  const { project } = req.params;
+  const projectPath = getProjectPath(project);
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  const manifest = req.body?.manifest;
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; '), errors });
+  }
+  try {
+    fs.writeFileSync(path.join(projectPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  res.json({ file: MANIFEST_FILE, exists: true, manifest, errors: [] });
+});
+
+// Credential vault status, unlock with a passphrase (creates the vault on first use) and lock
+app.get('/api/vault', (req, res) => {
+  res.json(getVaultStatus());
+});
+
+app.post('/api/vault/unlock', (req, res) => {
+  const passphrase = req.body?.passphrase;
+  if (typeof passphrase !== 'string' || passphrase.length < 8) {
+    return res.status(400).json({ error: 'Passphrase must be at least 8 characters' });
+  }
+  try {
+    vaultData = readVault(passphrase);
+  } catch (e) {
+    return res.status(403).json({ error: 'Wrong passphrase' });
+  }
+  vaultPassphrase = passphrase;
+  if (!fs.existsSync(VAULT_FILE)) {
+    writeVault(vaultData);
+  }
+  res.json(getVaultStatus());
+});
+
+app.post('/api/vault/lock', (req, res) => {
+  if (process.env.CLAUDE_EDITOR_VAULT_KEY) {
+    return res.status(400).json({ error: 'The vault key comes from CLAUDE_EDITOR_VAULT_KEY' });
+  }
+  vaultPassphrase = null;
+  vaultData = null;
+  res.json(getVaultStatus());
+});
+
+// Test-login accounts for a project (worktrees share their project's)
+app.get('/api/projects/:project/credentials', (req, res) => {
+  const vault = getVault();
+  if (!vault) {
+    return res.status(423).json({ error: 'Credential vault is locked', ...getVaultStatus() });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ accounts: vault[baseProjectName(req.params.project)]?.accounts || [] });
+});
+
+app.put('/api/projects/:project/credentials', (req, res) => {
+  const vault = getVault();
+  if (!vault) {
+    return res.status(423).json({ error: 'Credential vault is locked', ...getVaultStatus() });
+  }
+  const accounts = req.body?.accounts;
+  const errors = validateAccounts(accounts);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0], errors });
+  }
+
+  const project = baseProjectName(req.params.project);
+  const data = { ...vault };
+  if (accounts.length > 0) {
+    data[project] = { accounts: accounts.map(({ name, email, password }) => ({ name: name.trim(), email, password })) };
+  } else {
+    delete data[project];
+  }
+  try {
+    writeVault(data);
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ accounts: data[project]?.accounts || [] });
+});
+
+// Dev server log buffer and detected errors. seq is the last project event included, so a client
+// can drop live netlify-output events it already has from this snapshot.
+app.get('/api/projects/:project/dev-log', (req, res) => {
+  if (!fs.existsSync(getProjectPath(req.params.project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const state = getProjectState(req.params.project);
+  res.json({
+    log: state.devLog.join(''),
+    truncated: state.devLogTruncated,
+    errors: state.devErrors,
+    seq: state.eventSeq
+  });
+});
+
+app.delete('/api/projects/:project/dev-log', (req, res) => {
+  clearDevLog(req.params.project);
+  res.json({ success: true });
+});
+
+// Service dashboard links for a project
+app.get('/api/projects/:project/services', async (req, res) => {
+  if (!fs.existsSync(getProjectPath(req.params.project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  res.json(await getProjectServices(req.params.project));
+});
+
+// Save manual link overrides in config.json - an empty value removes the override
+app.put('/api/projects/:project/services', async (req, res) => {
+  const project = baseProjectName(req.params.project);
+  if (!fs.existsSync(getProjectPath(project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const overrides = { ...((config.projectServices || {})[project] || {}) };
+  for (const name of SERVICE_NAMES) {
+    const url = req.body?.[name];
+    if (url === undefined) continue;
+    if (url === null || url === '') {
+      delete overrides[name];
+    } else if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      return res.status(400).json({ error: `${name} must be an http(s) link` });
+    } else {
+      overrides[name] = url;
+    }
+  }
+
+  config.projectServices = config.projectServices || {};
+  if (Object.keys(overrides).length > 0) {
+    config.projectServices[project] = overrides;
+  } else {
+    delete config.projectServices[project];
+  }
+  saveConfig(config);
+  res.json(await getProjectServices(project));
+});
+
+// Command queue for a project
+app.get('/api/projects/:project/queue', (req, res) => {
+  const state = getProjectState(req.params.project);
+  res.json({ paused: state.queuePaused, items: state.commandQueue.map(queueItemSummary) });
+});
+
+// Edit a queued command: { command, files, removeFiles, addFiles } and/or move it with { index }
+app.patch('/api/projects/:project/queue/:id', (req, res) => {
+  const { project, id } = req.params;
+  if (!findQueueItem(project, id)) {
+    return res.status(404).json({ error: 'Queue item not found' });
+  }
+  if (req.body.index !== undefined && !Number.isInteger(req.body.index)) {
+    return res.status(400).json({ error: 'index must be an integer' });
+  }
+  if ((req.body.files !== undefined && !isValidAttachmentList(req.body.files)) || (req.body.addFiles !== undefined && !isValidAttachmentList(req.body.addFiles))) {
+    return res.status(400).json({ error: 'files and addFiles must be lists of { name, data }' });
+  }
+  editQueueItem(project, id, req.body);
+  if (req.body.index !== undefined) {
+    moveQueueItem(project, id, req.body.index);
+  }
+  res.json(queueItemSummary(findQueueItem(project, id)));
+});
+
+app.delete('/api/projects/:project/queue/:id', (req, res) => {
+  if (!removeQueueItem(req.params.project, req.params.id)) {
+    return res.status(404).json({ error: 'Queue item not found' });
+  }
+  res.json({ success: true });
+});
+
+// Pause or resume queue processing: { paused: true|false }
+app.post('/api/projects/:project/queue/pause', (req, res) => {
+  setQueuePaused(req.params.project, !!req.body.paused);
+  res.json({ paused: getProjectState(req.params.project).queuePaused });
+});
+
+// Run a command without the browser: { prompt, attachments, taskId, taskName, planOnly, freshContext }.
+// attachments have the WebSocket shape { name, data, type, isImage } (images as data URLs).
+// Without taskId the command starts a new task. It queues like any other command.
+app.post('/api/projects/:project/commands', (req, res) => {
+  const { project } = req.params;
+  const { attachments = [], taskId, taskName, planOnly, freshContext } = req.body || {};
+  const prompt = typeof req.body?.prompt === 'string' ? req.body.prompt.trim() : '';
+  if (!prompt) {
+    return res.status(400).json({ error: 'prompt is required' });
+  }
+  if (!isValidAttachmentList(attachments)) {
+    return res.status(400).json({ error: 'attachments must be a list of { name, data }' });
+  }
+  if (taskName !== undefined && typeof taskName !== 'string') {
+    return res.status(400).json({ error: 'taskName must be a string' });
+  }
+  if (!fs.existsSync(getProjectPath(project))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (taskId !== undefined && !findTask(project, Number(taskId))) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  const id = taskId !== undefined ? Number(taskId) : Date.now();
+  const name = taskName || (prompt.length > 50 ? `${prompt.substring(0, 50)}...` : prompt);
+  const taskCommand = createTaskCommand(project, prompt, id, name);
+  if (!getProjectState(project).claudeReady) {
+    startClaude(project);
+  }
+  sendCommand(prompt, attachments, project, false, {
+    taskId: id,
+    taskName: name,
+    taskCommand,
+    planOnly: !!planOnly,
+    freshContext: !!freshContext
+  });
+  res.status(202).json(commandSummary(project, taskCommand));
+});
+
+app.get('/api/projects/:project/commands/:id', (req, res) => {
+  const found = findTaskCommandById(req.params.project, req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  res.json(commandSummary(req.params.project, found.taskCommand));
+});
+
+// Cancel a command: queued commands are removed from the queue, a running command is stopped
+app.delete('/api/projects/:project/commands/:id', (req, res) => {
+  const { project } = req.params;
+  const found = findTaskCommandById(project, req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  const state = getProjectState(project);
+  const queueItem = state.commandQueue.find(q => q.options?.taskCommand === found.taskCommand);
+  if (queueItem) {
+    removeQueueItem(project, queueItem.id);
+  } else if (state.claudeProcess?.taskCommand === found.taskCommand) {
+    stopCurrentCommand(project);
+  } else if (['queued', 'running'].includes(commandStatus(project, found.taskCommand))) {
+    // Leaving the queue or still preparing (checkpoint, attachments) - there is no process to stop yet
+    return res.status(409).json({ error: 'Command is starting - try again' });
+  } else {
+    return res.status(409).json({ error: `Command is already ${commandStatus(project, found.taskCommand)}` });
+  }
+  res.json(commandSummary(project, found.taskCommand));
+});
+
+// Server-sent events for one command: the transcript so far, then live events, then "done" with the summary
+app.get('/api/projects/:project/commands/:id/events', (req, res) => {
+  const { project } = req.params;
+  const found = findTaskCommandById(project, req.params.id);
+  if (!found) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  const { taskCommand } = found;
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  taskCommand.events.forEach(event => send('event', event));
+  const status = commandStatus(project, taskCommand);
+  if (status !== 'queued' && status !== 'running') {
+    send('done', commandSummary(project, taskCommand));
+    return res.end();
+  }
+
+  // Comments keep proxies from closing a quiet stream while Claude thinks
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const listener = (type, data) => {
+    send(type, data);
+    if (type === 'done') {
+      clearInterval(keepAlive);
+      res.end();
+    }
+  };
+  if (!commandListeners.has(taskCommand)) commandListeners.set(taskCommand, new Set());
+  commandListeners.get(taskCommand).add(listener);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    commandListeners.get(taskCommand)?.delete(listener);
+  });
+});
+
+// Usage and cost summary (today, this month, total, per task) with budget status
+app.get('/api/projects/:project/usage', (req, res) => {
+  res.json(getUsageSummary(req.params.project));
+});
+
+// Fork a task from an earlier command - the new task resumes that command's session
+app.post('/api/projects/:project/tasks/:taskId/fork', (req, res) => {
+  const { project } = req.params;
+  const source = findTask(project, Number(req.params.taskId));
+  if (!source) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  const commandIndex = Number(req.body.commandIndex);
+  const forkPoint = source.commands[commandIndex];
+  if (!forkPoint) {
+    return res.status(400).json({ error: 'Invalid commandIndex' });
+  }
+  if (!forkPoint.sessionId) {
+    return res.status(400).json({ error: 'Command has no Claude session to fork from' });
+  }
+
+  const tasks = loadTasks(project);
+  const task = {
+    id: Date.now(),
+    number: Math.max(...tasks.map(t => t.number || 0)) + 1,
+    name: (typeof req.body.name === 'string' && req.body.name.trim()) || `${source.name} (fork)`,
+    status: 'completed',
+    createdAt: new Date().toISOString(),
+    sessionId: forkPoint.sessionId,
+    forkPending: true, // First command gets --fork-session so the source task is untouched
+    forkedFrom: { taskId: source.id, commandIndex },
+    // Copies with their own ids and transcripts, so the two tasks never share a command
+    commands: source.commands.slice(0, commandIndex + 1).map(cmd => ({ ...structuredClone(cmd), id: crypto.randomUUID() }))
+  };
+  tasks.push(task);
+  writeTasks(project);
+  broadcastTaskUpdate(project, task.id);
+  res.json(task);
+});
+
+// Delete a task and its transcript
+app.delete('/api/projects/:project/tasks/:taskId', (req, res) => {
+  const { project } = req.params;
+  const taskId = Number(req.params.taskId);
+  const tasks = loadTasks(project);
+  const index = tasks.findIndex(t => t.id === taskId);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  const state = projects.get(project);
+  if (state?.claudeProcess && state.claudeProcess.taskId === taskId) {
+    return res.status(409).json({ error: 'Task is running' });
+  }
+
+  tasks.splice(index, 1);
+  writeTasks(project);
+  broadcast(project, { type: 'task-deleted', project, taskId });
+  pruneCheckpointRefs(project, getProjectPath(project)).catch(e => console.log('Checkpoint prune error:', e.message));
+  res.json({ success: true });
+});
+
+// Diff of the files changed by a range of task commands, against the state before the first one
+async function getCommandsDiff(project, commands) {
+  const projectPath = getProjectPath(project);
+  const changedFiles = [...new Set(commands.flatMap(cmd => cmd.changedFiles || []))];
+  const checkpointed = commands.filter(cmd => cmd.checkpoint?.before);
+
+  // Without a git checkpoint we only know which files the watcher saw change
+  if (checkpointed.length === 0 || !(await isGitRepo(projectPath))) {
+    return { source: 'watcher', live: false, files: changedFiles.map(p => ({ path: p, status: 'changed', binary: false, diff: null, truncated: false })) };
+  }
+
+  const from = checkpointed[0].checkpoint.before;
+  let to = checkpointed[checkpointed.length - 1].checkpoint.after;
+  // Still running (or stopped before the 'after' snapshot) - compare with the working tree as it is now
+  const live = !to;
+  if (live) {
+    to = await snapshotWorkingTree(projectPath, 'claude-editor: diff preview', null);
+  }
+  return { source: 'git', live, files: await diffCheckpoints(projectPath, from, to, changedFiles) };
+}
+
+// Diff of everything a task changed
+app.get('/api/projects/:project/tasks/:taskId/diff', async (req, res) => {
+  const task = findTask(req.params.project, Number(req.params.taskId));
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  try {
+    res.json(await getCommandsDiff(req.params.project, task.commands));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Diff of the files changed by one command
+app.get('/api/projects/:project/tasks/:taskId/commands/:index/diff', async (req, res) => {
+  const task = findTask(req.params.project, Number(req.params.taskId));
+  const cmd = task?.commands[Number(req.params.index)];
+  if (!cmd) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  try {
+    res.json(await getCommandsDiff(req.params.project, [cmd]));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// The code editor's view of a file, or { status, error }. The etag is a content hash, so a save can
+// tell whether the file changed since it was opened.
+function readEditableFile(projectPath, relativePath) {
+  const filePath = resolveProjectFile(projectPath, relativePath);
+  if (!filePath || filePath.split(path.sep).includes('.git')) {
+    return { status: 404, error: 'File not found in the project' };
+  }
+  const stats = fs.statSync(filePath);
+  if (!stats.isFile()) {
+    return { status: 400, error: 'Not a file' };
+  }
+  if (stats.size > EDITABLE_FILE_LIMIT) {
+    return { status: 413, error: `File is larger than ${EDITABLE_FILE_LIMIT / 1024} KB` };
+  }
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.subarray(0, 8000).includes(0)) {
+    return { status: 415, error: 'Binary files cannot be edited' };
+  }
+  return {
+    filePath,
+    content: buffer.toString('utf8'),
+    etag: `"${crypto.createHash('sha1').update(buffer).digest('hex')}"`,
+    mtime: stats.mtimeMs
+  };
+}
+
+// Read a project file for the code editor
+app.get('/api/projects/:project/file', (req, res) => {
+  try {
+    const file = readEditableFile(getProjectPath(req.params.project), req.query.path);
+    if (file.error) {
+      return res.status(file.status).json({ error: file.error });
+    }
+    res.setHeader('ETag', file.etag);
+    res.json({ path: req.query.path, content: file.content, etag: file.etag, mtime: file.mtime });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Save a project file from the code editor. The etag it was opened with must still match (unless
+// force is set) - otherwise 409 with the file as it is now, so Claude's edits are never overwritten unseen.
+app.put('/api/projects/:project/file', (req, res) => {
+  const { path: relativePath, content, force } = req.body || {};
+  const etag = req.body?.etag || req.headers['if-match'];
+  if (typeof content !== 'string') {
+    return res.status(400).json({ error: 'content is required' });
+  }
+  if (Buffer.byteLength(content) > EDITABLE_FILE_LIMIT) {
+    return res.status(413).json({ error: `File is larger than ${EDITABLE_FILE_LIMIT / 1024} KB` });
+  }
+
+  try {
+    const projectPath = getProjectPath(req.params.project);
+    const current = readEditableFile(projectPath, relativePath);
+    if (current.error) {
+      return res.status(current.status).json({ error: current.error });
+    }
+    if (!force && etag !== current.etag) {
+      return res.status(409).json({ error: 'File changed on disk', content: current.content, etag: current.etag, mtime: current.mtime });
+    }
+    fs.writeFileSync(current.filePath, content);
+    const saved = readEditableFile(projectPath, relativePath);
+    res.setHeader('ETag', saved.etag);
+    res.json({ path: relativePath, etag: saved.etag, mtime: saved.mtime });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Files in the project for the file tree and @-mentions (respects .gitignore)
+app.get('/api/projects/:project/files', async (req, res) => {
+  const projectPath = getProjectPath(req.params.project);
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  try {
+    res.json(await listProjectFiles(projectPath));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Whether the project is a git repository (checkpoints need one)
+app.get('/api/projects/:project/git', async (req, res) => {
+  const projectPath = getProjectPath(req.params.project);
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  const isRepo = await isGitRepo(projectPath);
+  const parsed = parseWorktreeKey(req.params.project);
+  if (parsed) {
+    const worktree = (await listWorktrees(parsed.base)).find(w => w.name === parsed.name);
+    return res.json({ isRepo, worktree: { ...worktree, base: parsed.base }, worktrees: [] });
+  }
+  res.json({ isRepo, worktree: null, worktrees: isRepo ? await listWorktrees(req.params.project) : [] });
+});
+
+// Initialise a git repository so commands can be checkpointed
+app.post('/api/projects/:project/git/init', async (req, res) => {
+  const projectPath = getProjectPath(req.params.project);
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  try {
+    if (!(await isGitRepo(projectPath))) {
+      await runGit(['init'], projectPath);
+    }
+    res.json({ isRepo: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Create a task worktree ({ name }) that runs its own Claude process and dev server
+app.post('/api/projects/:project/worktrees', async (req, res) => {
+  const { project } = req.params;
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  const projectPath = getProjectPath(project);
+  if (!fs.existsSync(projectPath)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (parseWorktreeKey(project)) {
+    return res.status(400).json({ error: 'Worktrees cannot be created inside a worktree' });
+  }
+  if (!WORKTREE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'name must be 1-40 letters, digits, ".", "_" or "-"' });
+  }
+  if (!(await isGitRepo(projectPath))) {
+    return res.status(400).json({ error: 'Worktrees require a git repository' });
+  }
+
+  try {
+    const repoRoot = await runGit(['rev-parse', '--show-toplevel'], projectPath);
+    if (path.resolve(repoRoot) !== fs.realpathSync(projectPath)) {
+      return res.status(400).json({ error: 'Worktrees require the project to be the root of its git repository' });
+    }
+    if (!(await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], projectPath).catch(() => ''))) {
+      return res.status(400).json({ error: 'The repository has no commits to branch from' });
+    }
+    if (fs.existsSync(path.join(projectPath, WORKTREES_DIR, name))) {
+      return res.status(409).json({ error: `Worktree ${name} already exists` });
+    }
+    const worktree = await createWorktree(project, name);
+    broadcastWorktrees(project).catch(e => console.log('Could not list worktrees for', project + ':', e.message));
+    res.json(worktree);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Merge a worktree's changes back into the project's current branch; 409 lists conflicting files
+app.post('/api/projects/:project/worktrees/:name/merge', async (req, res) => {
+  const { project, name } = req.params;
+  const worktree = (await listWorktrees(project)).find(w => w.name === name);
+  if (!worktree) {
+    return res.status(404).json({ error: 'Worktree not found' });
+  }
+  if (projects.get(worktree.key)?.claudeProcess || projects.get(project)?.claudeProcess) {
+    return res.status(409).json({ error: 'Wait for Claude to finish before merging' });
+  }
+
+  try {
+    const result = await mergeWorktree(project, worktree);
+    if (!result.merged && !result.upToDate) {
+      return res.status(409).json({ error: result.message, ...result });
+    }
+    if (result.merged) {
+      broadcast(project, { type: 'claude-output', project, data: `\n🔀 Worktree ${name} flettet ind i ${result.target} (${result.files.length} fil(er)).\n` });
+    }
+    broadcastWorktrees(project).catch(e => console.log('Could not list worktrees for', project + ':', e.message));
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Remove a worktree and its branch; unmerged work needs ?force=1
+app.delete('/api/projects/:project/worktrees/:name', async (req, res) => {
+  const { project, name } = req.params;
+  const worktree = (await listWorktrees(project)).find(w => w.name === name);
+  if (!worktree) {
+    return res.status(404).json({ error: 'Worktree not found' });
+  }
+
+  try {
+    if (req.query.force !== '1' && await worktreeHasUnmergedWork(project, worktree)) {
+      return res.status(409).json({ error: `Worktree ${name} has changes that are not merged`, unmerged: true });
+    }
+    await removeWorktree(project, worktree);
+    broadcastWorktrees(project).catch(e => console.log('Could not list worktrees for', project + ':', e.message));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Revert one command ({ commandIndex }) or the whole task (no commandIndex).
+// Reverse-applies the command's changes; with { force: true } files are restored to the checkpoint instead.
+app.post('/api/projects/:project/tasks/:taskId/revert', async (req, res) => {
+  const { project } = req.params;
+  const task = findTask(project, Number(req.params.taskId));
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  if (projects.get(project)?.claudeProcess) {
+    return res.status(409).json({ error: 'Claude is running' });
+  }
+
+  const hasIndex = req.body.commandIndex !== undefined && req.body.commandIndex !== null;
+  const commands = hasIndex ? [task.commands[Number(req.body.commandIndex)]].filter(Boolean) : task.commands;
+  if (hasIndex && commands.length === 0) {
+    return res.status(400).json({ error: 'Invalid commandIndex' });
+  }
+  const checkpointed = commands.filter(cmd => cmd.checkpoint?.before);
+  if (checkpointed.length === 0) {
+    return res.status(400).json({ error: 'No checkpoint recorded for this command' });
+  }
+
+  const from = checkpointed[0].checkpoint.before;
+  const to = checkpointed[checkpointed.length - 1].checkpoint.after;
+  const projectPath = getProjectPath(project);
+  try {
+    // Without an 'after' snapshot (e.g. server restart mid-command) only a full restore is possible
+    const result = req.body.force || !to
+      ? await restoreCheckpoint(projectPath, from)
+      : await revertCheckpointRange(projectPath, from, to);
+    if (result.conflicts) {
+      return res.status(409).json({ error: 'Conflicts', conflicts: result.conflicts, message: result.message });
+    }
+    const revertedAt = new Date().toISOString();
+    checkpointed.forEach(cmd => { cmd.revertedAt = revertedAt; });
+    writeTasks(project);
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // WebSocket handling
 wss.on('connection', (ws) => {
   console.log('Client connected');
@@ -263,82 +2640,197 @@ wss.on('connection', (ws) => {
     if (state.netlifyProcess) {
       ws.send(JSON.stringify({ type: 'netlify-started', project: projectName }));
       if (state.vitePort) {
-        ws.send(JSON.stringify({ type: 'preview-url', project: projectName, url: `http://localhost:${state.vitePort}` }));
+        ws.send(JSON.stringify({ type: 'preview-url', project: projectName, url: devServerUrl(state, state.vitePort), base: state.previewBase }));
       }
       if (state.netlifyPort) {
-        ws.send(JSON.stringify({ type: 'preview-url', project: projectName, url: `http://localhost:${state.netlifyPort}` }));
+        ws.send(JSON.stringify({ type: 'preview-url', project: projectName, url: devServerUrl(state, state.netlifyPort), base: state.previewBase }));
       }
     }
   }
 
   ws.on('message', (message) => {
-    const data = JSON.parse(message);
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (e) {
+      return;
+    }
     console.log('Received message:', data.type, data.project || '');
 
+    // Every message is about a project - reject names that point outside the projects path
+    if (!isValidProjectName(data.project)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid project name' }));
+      return;
+    }
+
+    // Every client working with a project receives its events
+    if (data.type !== 'unsubscribe') {
+      getProjectState(data.project).subscribers.add(ws);
+    }
+
     switch (data.type) {
       case 'start-claude':
-        startClaude(data.project, ws);
+        startClaude(data.project);
         break;
       case 'send-command':
-        sendCommand(data.command, data.files, data.project, ws);
+        if (typeof data.command !== 'string' || (data.files != null && !isValidAttachmentList(data.files))) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Invalid command or attachments' }));
+          break;
+        }
+        sendCommand(data.command, data.files, data.project, false, {
+          taskId: data.taskId,
+          taskName: data.taskName,
+          freshContext: !!data.freshContext,
+          planOnly: !!data.planOnly
+        });
         break;
       case 'start-netlify':
         console.log('Starting Netlify for:', data.project);
-        startNetlify(data.project, ws);
+        startNetlify(data.project);
         break;
       case 'stop-claude':
-        stopClaude(data.project, ws);
+        stopClaude(data.project);
         break;
       case 'stop-current-command':
-        stopCurrentCommand(data.project, ws);
+        stopCurrentCommand(data.project);
         break;
       case 'stop-netlify':
-        stopNetlify(data.project, ws);
+        stopNetlify(data.project);
         break;
       case 'get-project-state':
-        sendProjectState(data.project, ws);
+        sendProjectState(data.project, ws, data.lastSeq);
+        break;
+      case 'unsubscribe':
+        projects.get(data.project)?.subscribers.delete(ws);
+        break;
+      case 'queue-remove':
+        removeQueueItem(data.project, data.id);
+        break;
+      case 'queue-move':
+        moveQueueItem(data.project, data.id, Number(data.toIndex));
+        break;
+      case 'queue-edit':
+        editQueueItem(data.project, data.id, data);
+        break;
+      case 'queue-pause':
+        setQueuePaused(data.project, !!data.paused);
         break;
     }
   });
 
   ws.on('close', () => {
     console.log('Client disconnected');
+    for (const state of projects.values()) {
+      state.subscribers.delete(ws);
+    }
   });
 });
 
-// Send current project state to client
-function sendProjectState(projectName, ws) {
-  const state = projects.get(projectName);
+// Send current project state to client, followed by the events it missed
+function sendProjectState(projectName, ws, lastSeq) {
+  const state = getProjectState(projectName);
   // Get the fixed assigned port from config (if any)
-  const assignedPort = config.projectPorts[projectName] || null;
-
-  if (state) {
-    ws.send(JSON.stringify({
-      type: 'project-state',
-      project: projectName,
-      claudeReady: state.claudeReady,
-      netlifyRunning: !!state.netlifyProcess,
-      vitePort: state.vitePort || assignedPort,
-      assignedPort: assignedPort,
-      netlifyPort: state.netlifyPort,
-      queueLength: state.commandQueue.length
-    }));
+  const assignedPort = getManifestPort(projectName) || config.projectPorts[projectName] || null;
+  const { resync, seq, replay } = subscribeClient(projectName, ws, lastSeq);
+
+  ws.send(JSON.stringify({
+    type: 'project-state',
+    project: projectName,
+    claudeReady: state.claudeReady,
+    netlifyRunning: !!(state.netlifyProcess || state.devRestartTimer),
+    devHealth: state.devHealth,
+    previewBase: state.previewBase,
+    vitePort: state.vitePort || assignedPort,
+    assignedPort: assignedPort,
+    netlifyPort: state.netlifyPort,
+    queueLength: state.commandQueue.length,
+    queue: state.commandQueue.map(queueItemSummary),
+    queuePaused: state.queuePaused,
+    runningTaskId: state.claudeProcess?.taskId ?? null,
+    seq,
+    resync
+  }));
+  replay.forEach(entry => ws.send(entry.payload));
+}
+
+// File watcher for auto-refresh
+const WATCH_IGNORED_DIRS = new Set(['node_modules', '.git', 'dist', 'build', '.cache', '.netlify', 'coverage', '.claude-temp', WORKTREES_DIR]);
+
+// chokidar 4+ dropped glob support in `ignored`, so match path segments instead
+function isWatchIgnored(relativePath) {
+  return relativePath.endsWith('.log') || relativePath.split(/[\\/]/).some(part => WATCH_IGNORED_DIRS.has(part));
+}
+
+// Project files for the file tree and @-mentions: what git tracks or would track, without the watcher's ignores
+const PROJECT_FILES_LIMIT = 10000;
+
+// The common subset of .gitignore - for projects that are not git repositories
+function parseGitignore(text) {
+  const rules = [];
+  for (const raw of (text || '').split(/\r?\n/)) {
+    let line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    const anchored = line.includes('/');
+    const pattern = line.replace(/^\//, '')
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\/?/g, '\u0000')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '(?:.*/)?');
+    rules.push({ regex: new RegExp(anchored ? `^${pattern}$` : `(?:^|/)${pattern}$`), dirOnly });
+  }
+  return rules;
+}
+
+function walkProjectFiles(projectPath) {
+  const rules = parseGitignore(readFileIfExists(path.join(projectPath, '.gitignore')));
+  const ignored = (relativePath, isDir) => rules.some(rule => (isDir || !rule.dirOnly) && rule.regex.test(relativePath));
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(path.join(projectPath, dir), { withFileTypes: true })) {
+      if (files.length > PROJECT_FILES_LIMIT) return;
+      const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+      if (isWatchIgnored(relativePath) || ignored(relativePath, entry.isDirectory())) continue;
+      if (entry.isDirectory()) walk(relativePath);
+      else if (entry.isFile()) files.push(relativePath);
+    }
+  };
+  walk('');
+  return files;
+}
+
+async function listProjectFiles(projectPath) {
+  let files;
+  if (await isGitRepo(projectPath)) {
+    const output = await runGit(['ls-files', '--cached', '--others', '--exclude-standard', '-z'], projectPath, { raw: true });
+    // Tracked files deleted from the working tree are still in the index
+    files = [...new Set(output.split('\0'))]
+      .filter(file => file && !isWatchIgnored(file) && fs.existsSync(path.join(projectPath, file)));
   } else {
-    // Even if no state exists, send the assigned port info
-    ws.send(JSON.stringify({
-      type: 'project-state',
-      project: projectName,
-      claudeReady: false,
-      netlifyRunning: false,
-      vitePort: assignedPort,
-      assignedPort: assignedPort,
-      netlifyPort: null,
-      queueLength: 0
-    }));
+    files = walkProjectFiles(projectPath);
+  }
+  files.sort((a, b) => a.localeCompare(b));
+  return { files: files.slice(0, PROJECT_FILES_LIMIT), truncated: files.length > PROJECT_FILES_LIMIT };
+}
+
+// Files the code editor opens: text only, up to this size
+const EDITABLE_FILE_LIMIT = 1024 * 1024;
+
+// A project-relative path from a client, or null if it leaves the project (also through symlinks)
+function resolveProjectFile(projectPath, relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath || relativePath.includes('\0')) return null;
+  try {
+    const root = fs.realpathSync(projectPath);
+    const resolved = fs.realpathSync(path.resolve(root, relativePath));
+    if (!resolved.startsWith(root + path.sep)) return null;
+    return resolved;
+  } catch (e) {
+    return null;
   }
 }
 
-// File watcher for auto-refresh
 function startFileWatcher(project) {
   const state = getProjectState(project);
 
@@ -347,28 +2839,35 @@ function startFileWatcher(project) {
     state.fileWatcher = null;
   }
 
-  const projectPath = path.join(getProjectsPath(), project);
+  const projectPath = getProjectPath(project);
 
   // Watch for file changes, ignore node_modules, .git, etc.
   state.fileWatcher = chokidar.watch(projectPath, {
-    ignored: [
-      '**/node_modules/**',
-      '**/.git/**',
-      '**/dist/**',
-      '**/build/**',
-      '**/.cache/**',
-      '**/.netlify/**',
-      '**/coverage/**',
-      '**/*.log'
-    ],
+    ignored: filePath => isWatchIgnored(path.relative(projectPath, filePath)),
     ignoreInitial: true,
     persistent: true
   });
 
-  // Debounce file changes to avoid too many refreshes
+  // Debounce file changes to avoid too many refreshes; every file changed in the burst is sent along
   let debounceTimer = null;
+  let pendingChanges = new Map(); // relative path ('/'-separated) -> { event, attributedTo } of its last change
 
   state.fileWatcher.on('all', (event, filePath) => {
+    // Attribute file changes to the command Claude is running right now
+    const running = state.claudeProcess?.taskCommand;
+    const attributedTo = running?.startedAt && ['add', 'change', 'unlink'].includes(event)
+      ? { taskId: state.claudeProcess.taskId, commandIndex: state.claudeProcess.commandIndex }
+      : null;
+    if (attributedTo) {
+      const changedPath = path.relative(projectPath, filePath).split(path.sep).join('/');
+      running.changedFiles = running.changedFiles || [];
+      if (!running.changedFiles.includes(changedPath)) {
+        running.changedFiles.push(changedPath);
+        saveTasks(project);
+      }
+    }
+
+    pendingChanges.set(path.relative(projectPath, filePath).split(path.sep).join('/'), { event, attributedTo });
     if (debounceTimer) {
       clearTimeout(debounceTimer);
     }
@@ -376,17 +2875,17 @@ function startFileWatcher(project) {
     debounceTimer = setTimeout(() => {
       const relativePath = path.relative(projectPath, filePath);
       console.log(`File ${event}: ${relativePath}`);
-
-      // Notify all connected clients
-      wss.clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify({
-            type: 'file-changed',
-            project,
-            event: event,
-            file: relativePath
-          }));
-        }
+      const changes = [...pendingChanges].map(([file, change]) => ({ file, ...change }));
+      pendingChanges = new Map();
+
+      // Notify clients viewing the project
+      broadcast(project, {
+        type: 'file-changed',
+        project,
+        event: event,
+        file: relativePath,
+        changes,
+        attributedTo
       });
     }, 300); // 300ms debounce
   });
@@ -417,23 +2916,167 @@ function cleanupTempFiles(projectPath) {
   }
 }
 
-function startClaude(project, ws) {
+function startClaude(project) {
   const state = getProjectState(project);
   state.claudeReady = true;
 
-  const projectPath = path.join(getProjectsPath(), project);
+  const projectPath = getProjectPath(project);
 
   // Clean up old temp files when starting a new session
   cleanupTempFiles(projectPath);
 
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n🚀 Claude er klar til projekt: ${project}\n` }));
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: `📁 Arbejdsmappe: ${projectPath}\n\n` }));
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: `✅ Skriv dine kommandoer nedenfor - hver kommando sendes til Claude.\n\n` }));
-  ws.send(JSON.stringify({ type: 'claude-started', project }));
+  // The watcher attributes file changes to commands, so run it even without a dev server
+  if (!state.fileWatcher) {
+    startFileWatcher(project);
+  }
+
+  broadcast(project, { type: 'claude-output', project, data: `\n🚀 Claude er klar til projekt: ${project}\n` });
+  broadcast(project, { type: 'claude-output', project, data: `📁 Arbejdsmappe: ${projectPath}\n\n` });
+  broadcast(project, { type: 'claude-output', project, data: `✅ Skriv dine kommandoer nedenfor - hver kommando sendes til Claude.\n\n` });
+  broadcast(project, { type: 'claude-started', project });
+
+  // Commands left in the queue (e.g. from before a server restart) continue now
+  if (state.commandQueue.length > 0 && !state.claudeProcess) {
+    broadcast(project, { type: 'claude-output', project, data: `📋 ${state.commandQueue.length} kommando(er) i køen${state.queuePaused ? ' (på pause)' : ''}\n` });
+    processNextInQueue(project);
+  }
+}
+
+// Tool results can be whole files - cap what we forward and store
+const MAX_TOOL_OUTPUT = 20000;
+
+// Append an event to a command transcript, merging consecutive text chunks
+function pushTaskEvent(taskCommand, event) {
+  const last = taskCommand.events[taskCommand.events.length - 1];
+  if (last && last.kind === event.kind && (event.kind === 'output' || event.kind === 'assistant-text')) {
+    last.text += event.text;
+  } else {
+    taskCommand.events.push({ ...event });
+  }
+  notifyCommandListeners(taskCommand, 'event', event);
+}
+
+// Send Claude output to the client and record it in the task transcript
+function emitClaudeOutput(project, data, taskCommand = null) {
+  if (taskCommand) {
+    pushTaskEvent(taskCommand, { kind: 'output', text: data });
+    saveTasks(project);
+  }
+  broadcast(project, { type: 'claude-output', project, data, ...commandLocation(project, taskCommand) });
+}
+
+// Send a structured stream-json event (assistant-text, tool-use, tool-result, result)
+function emitClaudeEvent(project, event, taskCommand = null) {
+  if (taskCommand) {
+    pushTaskEvent(taskCommand, event);
+    saveTasks(project);
+  }
+  broadcast(project, { type: 'claude-event', project, event, ...commandLocation(project, taskCommand) });
+}
+
+// tool_result content is either a string or an array of content blocks
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => block.type === 'text' ? block.text : `[${block.type}]`).join('\n');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+// Mark a task command as finished and persist the transcript
+// Completion notifications go to the project's clients (desktop notification, sound) and to
+// config.webhooks: [{ url, events: ['completed', 'failed', 'timeout', 'queue-drained'], projects, headers }]
+const WEBHOOK_TIMEOUT = 10000;
+
+function notifyCompletion(project, event, details) {
+  const notification = { event, project, ...details, timestamp: new Date().toISOString() };
+  broadcast(project, { type: 'notification', project, notification });
+
+  for (const webhook of config.webhooks || []) {
+    if (!webhook?.url) continue;
+    if (Array.isArray(webhook.events) && !webhook.events.includes(notification.event)) continue;
+    if (Array.isArray(webhook.projects) && !webhook.projects.includes(project)) continue;
+    fetch(webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...webhook.headers },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    }).then(res => {
+      if (!res.ok) console.log(`Webhook ${webhook.url} answered ${res.status}`);
+    }).catch(e => console.log(`Webhook ${webhook.url} failed:`, e.message));
+  }
+}
+
+function notifyCommandFinished(project, taskId, taskCommand) {
+  const summary = commandSummary(project, taskCommand);
+  // Stopped or removed by the user - they know
+  if (summary.status === 'cancelled') return;
+  const task = findTask(project, taskId);
+  notifyCompletion(project, summary.status, {
+    taskId: task ? task.id : null,
+    taskName: task ? task.name : null,
+    commandId: summary.id,
+    prompt: summary.prompt,
+    exitCode: summary.exitCode,
+    durationMs: summary.startedAt ? Date.parse(summary.finishedAt) - Date.parse(summary.startedAt) : 0,
+    changedFiles: summary.changedFiles,
+    result: summary.result
+  });
+}
+
+function finishTaskCommand(project, taskId, taskCommand, exitCode) {
+  if (!taskCommand) return;
+  // Timeouts finish the command before the process 'close' event does it again
+  const alreadyFinished = !!taskCommand.finishedAt;
+  if (!alreadyFinished && taskCommand.usage) {
+    recordUsage(project, { timestamp: new Date().toISOString(), taskId, ...taskCommand.usage });
+  }
+  taskCommand.finishedAt = new Date().toISOString();
+  taskCommand.exitCode = exitCode;
+  const task = findTask(project, taskId);
+  if (task) {
+    // Another command of the task may still be running (e.g. a queued item was removed)
+    task.status = task.commands.some(cmd => cmd !== taskCommand && cmd.startedAt && !cmd.finishedAt) ? 'running' : 'completed';
+    // Follow-up commands in this task continue the conversation
+    if (taskCommand.sessionId) {
+      task.sessionId = taskCommand.sessionId;
+      task.forkPending = false;
+    }
+  }
+  runningCommands.delete(taskCommand);
+  writeTasks(project);
+  if (task) broadcastTaskUpdate(project, taskId);
+  notifyCommandListeners(taskCommand, 'done', commandSummary(project, taskCommand));
+  if (!alreadyFinished) notifyCommandFinished(project, taskId, taskCommand);
+}
+
+// Snapshot the project before (stage 'before') or after (stage 'after') a task command runs
+async function recordCheckpoint(project, projectPath, taskId, taskCommand, stage) {
+  if (taskId === null || !taskCommand) return;
+  const state = getProjectState(project);
+  if (!(await isGitRepo(projectPath))) {
+    if (stage === 'before' && !state.gitNoticeShown) {
+      state.gitNoticeShown = true;
+      emitClaudeOutput(project, 'ℹ️ Projektet er ikke et git-repo - ingen checkpoints. Brug "git init" i opgavelisten for at kunne fortryde kommandoer.\n', taskCommand);
+    }
+    return;
+  }
+  if (stage === 'after' && !taskCommand.checkpoint?.before) return;
+
+  try {
+    const label = taskCommand.prompt.substring(0, 60).replace(/\s+/g, ' ');
+    const commit = await snapshotWorkingTree(projectPath, `claude-editor: ${stage} "${label}"`);
+    taskCommand.checkpoint = { ...taskCommand.checkpoint, [stage]: commit };
+    saveTasks(project);
+    broadcast(project, { type: 'claude-checkpoint', project, ...commandLocation(project, taskCommand), checkpoint: taskCommand.checkpoint });
+  } catch (e) {
+    console.log('Checkpoint error:', e.message);
+    emitClaudeOutput(project, `⚠️ Kunne ikke gemme checkpoint: ${e.message}\n`, taskCommand);
+  }
 }
 
 // Process Claude stream-json output and send to client
-function processClaudeOutput(content, project, ws, buffer = '') {
+function processClaudeOutput(content, project, buffer = '', taskCommand = null) {
   buffer += content;
   const lines = buffer.split('\n');
   buffer = lines.pop(); // Keep incomplete line
@@ -443,20 +3086,62 @@ function processClaudeOutput(content, project, ws, buffer = '') {
     try {
       const json = JSON.parse(line);
 
+      // Remember the Claude session so the task can be resumed later
+      if (json.session_id && taskCommand && taskCommand.sessionId !== json.session_id &&
+          (json.type === 'system' || json.type === 'result')) {
+        taskCommand.sessionId = json.session_id;
+        saveTasks(project);
+        broadcast(project, { type: 'claude-session', project, sessionId: json.session_id, ...commandLocation(project, taskCommand) });
+      }
+
       if (json.type === 'assistant' && json.message?.content) {
         for (const block of json.message.content) {
           if (block.type === 'text') {
-            ws.send(JSON.stringify({ type: 'claude-output', project, data: block.text }));
+            emitClaudeEvent(project, { kind: 'assistant-text', text: block.text }, taskCommand);
           } else if (block.type === 'tool_use') {
-            ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n🔧 ${block.name}: ${JSON.stringify(block.input).substring(0, 100)}...\n` }));
+            emitClaudeEvent(project, { kind: 'tool-use', id: block.id, name: block.name, input: block.input }, taskCommand);
           }
         }
+      } else if (json.type === 'user' && Array.isArray(json.message?.content)) {
+        // Tool results come back to Claude as user messages
+        for (const block of json.message.content) {
+          if (block.type !== 'tool_result') continue;
+          const output = toolResultText(block.content);
+          emitClaudeEvent(project, {
+            kind: 'tool-result',
+            toolUseId: block.tool_use_id,
+            isError: !!block.is_error,
+            output: output.substring(0, MAX_TOOL_OUTPUT),
+            truncated: output.length > MAX_TOOL_OUTPUT
+          }, taskCommand);
+        }
       } else if (json.type === 'content_block_delta' && json.delta?.text) {
-        ws.send(JSON.stringify({ type: 'claude-output', project, data: json.delta.text }));
+        emitClaudeEvent(project, { kind: 'assistant-text', text: json.delta.text }, taskCommand);
+      } else if (json.type === 'result') {
+        const usage = {
+          costUsd: json.total_cost_usd || 0,
+          inputTokens: json.usage?.input_tokens || 0,
+          outputTokens: json.usage?.output_tokens || 0,
+          cacheReadTokens: json.usage?.cache_read_input_tokens || 0,
+          cacheCreationTokens: json.usage?.cache_creation_input_tokens || 0
+        };
+        if (taskCommand) {
+          taskCommand.usage = usage;
+        }
+        emitClaudeEvent(project, {
+          kind: 'result',
+          subtype: json.subtype,
+          isError: !!json.is_error,
+          durationMs: json.duration_ms,
+          numTurns: json.num_turns,
+          stopReason: json.stop_reason || json.subtype,
+          result: json.result,
+          usage
+        }, taskCommand);
       } else if (json.type === 'system') {
         // Show system messages like "Reading file..."
         if (json.message) {
-          ws.send(JSON.stringify({ type: 'claude-output', project, data: `📋 ${json.message}\n` }));
+          emitClaudeOutput(project, `📋 ${json.message}\n`, taskCommand);
         }
       }
       console.log('Claude JSON type:', json.type);
@@ -464,7 +3149,7 @@ function processClaudeOutput(content, project, ws, buffer = '') {
       // Not JSON, show as raw output
       if (line.trim()) {
         console.log('Claude raw:', line.substring(0, 100));
-        ws.send(JSON.stringify({ type: 'claude-output', project, data: line + '\n' }));
+        emitClaudeOutput(project, line + '\n', taskCommand);
       }
     }
   }
@@ -472,34 +3157,114 @@ function processClaudeOutput(content, project, ws, buffer = '') {
   return buffer;
 }
 
-async function sendCommand(command, files, project, ws, fromQueue = false) {
+// @path/to/file in a prompt, preceded by whitespace so e-mail addresses are left alone
+const FILE_MENTION_PATTERN = /(?:^|\s)@((?:[\w.@+-]+\/)*[\w.@+-]*[\w+-])/g;
+
+// Mentioned files that exist in the project, as project-relative paths
+function findFileMentions(command, projectPath) {
+  const mentions = new Set();
+  for (const match of (command || '').matchAll(FILE_MENTION_PATTERN)) {
+    const resolved = resolveProjectFile(projectPath, match[1]);
+    if (resolved && fs.statSync(resolved).isFile()) mentions.add(match[1]);
+  }
+  return [...mentions];
+}
+
+// An element from the preview's element picker (public/claude-editor-picker.js) as prompt context
+function formatElementContext(element) {
+  const text = value => (typeof value === 'string' ? value : '');
+  const lines = [`\n### <${text(element.tag)}> ${text(element.selector)}`];
+  const source = element.source;
+  if (source && (source.file || source.component)) {
+    const location = [source.file, source.line, source.column].filter(Boolean).join(':');
+    lines.push(`Kilde: ${location || 'ukendt fil'}${source.component ? ` (komponent: ${text(source.component)})` : ''}`);
+  }
+  if (element.device) lines.push(`Enhed: ${text(element.device)}`);
+  if (element.rect) lines.push(`Størrelse: ${Number(element.rect.width)}×${Number(element.rect.height)} px ved (${Number(element.rect.x)}, ${Number(element.rect.y)})`);
+  if (element.page) lines.push(`Side: ${text(element.page)}`);
+  if (element.text) lines.push(`Tekst: ${text(element.text)}`);
+  const styles = Object.entries(element.styles || {}).map(([name, value]) => `  ${name}: ${text(value)}`);
+  if (styles.length) lines.push('Computed styles:', ...styles);
+  lines.push('HTML:', '```html', text(element.html), '```');
+  return lines.join('\n') + '\n';
+}
+
+// A new command in the transcript of task taskId (a new task with that id is created if needed)
+function createTaskCommand(project, command, taskId, taskName) {
+  const taskCommand = { id: crypto.randomUUID(), prompt: command, events: [], startedAt: null, finishedAt: null, exitCode: null, sessionId: null };
+  if (taskId !== null) {
+    const task = getOrCreateTask(project, taskId, taskName);
+    task.commands.push(taskCommand);
+    task.status = 'running';
+    taskCommandOwners.set(taskCommand, taskId);
+    saveTasks(project);
+    broadcastTaskUpdate(project, taskId, taskCommand);
+  }
+  return taskCommand;
+}
+
+async function sendCommand(command, files, project, fromQueue = false, options = {}) {
   const state = getProjectState(project);
 
   if (!state.claudeReady) {
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: '\n⚠️ Klik "START CLAUDE" først.\n' }));
+    broadcast(project, { type: 'claude-output', project, data: '\n⚠️ Klik "START CLAUDE" først.\n' });
     return;
   }
 
-  // If a command is running and this isn't from the queue, add to queue
-  if (state.claudeProcess && !fromQueue) {
-    const queueItem = { command, files };
+  // Record the command on its task so the transcript survives reloads
+  const taskId = options.taskId != null && Number.isFinite(Number(options.taskId)) ? Number(options.taskId) : null;
+  let taskCommand = options.taskCommand || null;
+  if (!taskCommand) {
+    taskCommand = createTaskCommand(project, command, taskId, options.taskName);
+  }
+
+  // If a command is running (or the queue is paused) and this isn't from the queue, add to queue
+  if ((state.claudeProcess || state.queuePaused) && !fromQueue) {
+    const queueItem = { id: crypto.randomUUID(), command, files, options: { ...options, taskCommand } };
     state.commandQueue.push(queueItem);
-    state.currentWs = ws;
     const queuePosition = state.commandQueue.length;
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n📋 Kommando sat i kø (position ${queuePosition}): ${command.substring(0, 50)}${command.length > 50 ? '...' : ''}\n` }));
-    ws.send(JSON.stringify({ type: 'queue-update', project, queue: state.commandQueue.map(q => q.command.substring(0, 50)) }));
+    emitClaudeOutput(project, `\n📋 Kommando sat i kø (position ${queuePosition}${state.queuePaused ? ', køen er på pause' : ''}): ${command.substring(0, 50)}${command.length > 50 ? '...' : ''}\n`, taskCommand);
+    queueChanged(project);
     return;
   }
 
-  const projectPath = path.join(getProjectsPath(), project);
+  // Check spend against the project's budget before spawning a new process
+  const overBudget = checkBudget(project);
+  if (overBudget?.block) {
+    emitClaudeOutput(project, `\n❌ Budget overskredet: ${overBudget.message} - kommandoen blev ikke startet.\n`, taskCommand);
+    finishTaskCommand(project, taskId, taskCommand, null);
+    processNextInQueue(project);
+    return;
+  } else if (overBudget) {
+    emitClaudeOutput(project, `\n💸 Advarsel: ${overBudget.message} er overskredet.\n`, taskCommand);
+  }
+
+  const projectPath = getProjectPath(project);
   const tempDir = path.join(projectPath, '.claude-temp');
 
   // Build the full prompt with file contents
   let fullPrompt = command;
 
+  // Mentioned project files are passed as references - Claude reads what it needs itself
+  const mentions = findFileMentions(command, projectPath);
+  if (mentions.length > 0) {
+    fullPrompt += '\n\n--- Refererede filer i projektet ---\n';
+    fullPrompt += 'Stierne er relative til projektets rod. Brug dit Read tool til at læse dem:\n';
+    fullPrompt += mentions.map(file => `- ${file}\n`).join('');
+    emitClaudeOutput(project, `📁 ${mentions.length} fil(er) refereret i prompt\n`, taskCommand);
+  }
+
   if (files && files.length > 0) {
-    const textFiles = files.filter(f => !f.isImage);
+    const textFiles = files.filter(f => !f.isImage && !f.element);
     const imageFiles = files.filter(f => f.isImage);
+    const elements = files.filter(f => f.element && typeof f.element === 'object').map(f => f.element);
+
+    // Elements picked in the preview
+    if (elements.length > 0) {
+      fullPrompt += '\n\n--- Valgte elementer i preview ---\n';
+      fullPrompt += elements.map(formatElementContext).join('');
+      emitClaudeOutput(project, `🎯 ${elements.length} element(er) fra preview inkluderet i prompt\n`, taskCommand);
+    }
 
     // Add text file contents to the prompt
     if (textFiles.length > 0) {
@@ -507,7 +3272,7 @@ async function sendCommand(command, files, project, ws, fromQueue = false) {
       for (const file of textFiles) {
         fullPrompt += `\n### ${file.name}\n\`\`\`\n${file.data}\n\`\`\`\n`;
       }
-      ws.send(JSON.stringify({ type: 'claude-output', project, data: `📎 ${textFiles.length} tekstfil(er) inkluderet i prompt\n` }));
+      emitClaudeOutput(project, `📎 ${textFiles.length} tekstfil(er) inkluderet i prompt\n`, taskCommand);
     }
 
     // Save images to temp folder and include paths in prompt
@@ -526,7 +3291,7 @@ async function sendCommand(command, files, project, ws, fromQueue = false) {
         // Extract base64 data and save to file
         const base64Data = file.data.replace(/^data:image\/\w+;base64,/, '');
         const buffer = Buffer.from(base64Data, 'base64');
-        const fileName = `${Date.now()}-${file.name}`;
+        const fileName = `${Date.now()}-${path.basename(file.name)}`;
         const filePath = path.join(tempDir, fileName);
         const absolutePath = path.resolve(filePath);
 
@@ -534,30 +3299,91 @@ async function sendCommand(command, files, project, ws, fromQueue = false) {
         fullPrompt += `- ${file.name}: ${absolutePath}\n`;
       }
 
-      ws.send(JSON.stringify({ type: 'claude-output', project, data: `🖼️ ${imageFiles.length} billede(r) gemt i .claude-temp/ - Claude kan læse dem\n` }));
+      emitClaudeOutput(project, `🖼️ ${imageFiles.length} billede(r) gemt i .claude-temp/ - Claude kan læse dem\n`, taskCommand);
+    }
+  }
+
+  if (taskCommand) {
+    taskCommand.startedAt = new Date().toISOString();
+    runningCommands.add(taskCommand);
+    const task = findTask(project, taskId);
+    if (task) {
+      task.status = 'running';
+      broadcastTaskUpdate(project, taskId);
     }
   }
 
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n💬 > ${command}\n\n` }));
+  emitClaudeOutput(project, `\n💬 > ${command}\n\n`, taskCommand);
 
   console.log('Starting Claude in:', projectPath);
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: '⏳ Claude starter...\n' }));
+  emitClaudeOutput(project, '⏳ Claude starter...\n', taskCommand);
+
+  // Hold the slot while the checkpoint is taken so queued commands can't start in between
+  // It carries the command, so it can be stopped and file changes are attributed to it already
+  const pendingTask = taskId !== null ? findTask(project, taskId) : null;
+  const pendingProcess = { pid: null, process: null, interval: null, taskId, taskCommand, commandIndex: pendingTask ? pendingTask.commands.indexOf(taskCommand) : -1 };
+  state.claudeProcess = pendingProcess;
+  await recordCheckpoint(project, projectPath, taskId, taskCommand, 'before');
+  if (state.claudeProcess !== pendingProcess) {
+    // Stopped while the checkpoint was being taken - the queue continues (if the slot is free)
+    finishTaskCommand(project, taskId, taskCommand, null);
+    processNextInQueue(project);
+    return;
+  }
+
+  // Spawn Claude without a shell; the prompt goes over stdin so it is never parsed or limited by argv
+  const permissions = getProjectPermissions(project);
+  const claudeArgs = ['-p', ...buildPermissionArgs(permissions, options.planOnly), '--output-format', 'stream-json', '--verbose'];
+
+  if (options.planOnly) {
+    emitClaudeOutput(project, '📝 Kun plan - Claude foreslår ændringer uden at redigere filer\n', taskCommand);
+  } else if (permissions.permissionMode !== 'bypassPermissions') {
+    emitClaudeOutput(project, `🔒 Tilladelser: ${permissions.permissionMode}\n`, taskCommand);
+  }
+
+  // Continue the task's conversation unless a fresh context was requested
+  const task = taskId !== null ? findTask(project, taskId) : null;
+  if (task?.sessionId && !options.freshContext) {
+    claudeArgs.push('--resume', task.sessionId);
+    if (task.forkPending) {
+      claudeArgs.push('--fork-session');
+    }
+    emitClaudeOutput(project, `🔗 Fortsætter samtale (session ${task.sessionId.substring(0, 8)})\n`, taskCommand);
+  } else if (task?.sessionId) {
+    emitClaudeOutput(project, '🆕 Starter med frisk kontekst\n', taskCommand);
+  }
 
-  // Spawn Claude process directly (cross-platform)
-  const claudeArgs = ['-p', fullPrompt, '--dangerously-skip-permissions', '--output-format', 'stream-json', '--verbose'];
+  const claude = resolveClaudeCommand();
+  if (!claude) {
+    emitClaudeOutput(project, `\n❌ Kunne ikke finde Claude CLI (${CLAUDE_PATH}) i PATH\n`, taskCommand);
+    finishTaskCommand(project, taskId, taskCommand, null);
+    state.claudeProcess = null;
+    processNextInQueue(project);
+    return;
+  }
 
-  const claudeProcess = spawn(CLAUDE_PATH, claudeArgs, {
+  const claudeProcess = spawn(claude.command, [...claude.prefixArgs, ...claudeArgs], {
     cwd: projectPath,
-    shell: true,
-    env: { ...process.env }
+    env: { ...process.env },
+    windowsHide: true
   });
 
   if (!claudeProcess.pid) {
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n❌ Kunne ikke starte Claude\n` }));
+    // Nothing was started - spawn reports why (e.g. ENOENT) as an error event
+    claudeProcess.on('error', (err) => {
+      emitClaudeOutput(project, `\n❌ Kunne ikke starte Claude: ${err.message}\n`, taskCommand);
+      finishTaskCommand(project, taskId, taskCommand, null);
+      processNextInQueue(project);
+    });
+    state.claudeProcess = null;
     return;
   }
 
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: `⏳ Claude arbejder (PID: ${claudeProcess.pid})...\n` }));
+  // Claude may exit before reading everything (e.g. bad flags) - that is reported via close, not EPIPE
+  claudeProcess.stdin.on('error', (err) => console.log('Claude stdin error:', err.message));
+  claudeProcess.stdin.end(fullPrompt);
+
+  emitClaudeOutput(project, `⏳ Claude arbejder (PID: ${claudeProcess.pid})...\n`, taskCommand);
 
   let buffer = '';
   let checkCount = 0;
@@ -565,27 +3391,35 @@ async function sendCommand(command, files, project, ws, fromQueue = false) {
 
   // Handle stdout
   claudeProcess.stdout.on('data', (data) => {
-    buffer = processClaudeOutput(data.toString(), project, ws, buffer);
+    buffer = processClaudeOutput(data.toString(), project, buffer, taskCommand);
   });
 
   // Handle stderr
   claudeProcess.stderr.on('data', (data) => {
-    buffer = processClaudeOutput(data.toString(), project, ws, buffer);
+    buffer = processClaudeOutput(data.toString(), project, buffer, taskCommand);
   });
 
   // Handle process exit
-  claudeProcess.on('close', (code) => {
-    if (state.claudeProcess?.interval) {
-      clearInterval(state.claudeProcess.interval);
+  claudeProcess.on('close', async (code) => {
+    clearInterval(timeoutInterval);
+    await recordCheckpoint(project, projectPath, taskId, taskCommand, 'after');
+    emitClaudeOutput(project, `\n\n✅ Kommando færdig (kode: ${code}).\n`, taskCommand);
+    finishTaskCommand(project, taskId, taskCommand, code);
+    // A stopped or timed-out process already gave up the slot - a newer command may hold it by now
+    if (state.claudeProcess?.process === claudeProcess) {
+      state.claudeProcess = null;
+    }
+    if (!state.claudeProcess) {
+      processNextInQueue(project);
     }
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n\n✅ Kommando færdig (kode: ${code}).\n` }));
-    state.claudeProcess = null;
-    processNextInQueue(project, ws);
   });
 
   claudeProcess.on('error', (err) => {
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n❌ Fejl: ${err.message}\n` }));
-    state.claudeProcess = null;
+    emitClaudeOutput(project, `\n❌ Fejl: ${err.message}\n`, taskCommand);
+    finishTaskCommand(project, taskId, taskCommand, null);
+    if (state.claudeProcess?.process === claudeProcess) {
+      state.claudeProcess = null;
+    }
   });
 
   // Timeout check
@@ -594,38 +3428,63 @@ async function sendCommand(command, files, project, ws, fromQueue = false) {
     if (checkCount >= maxChecks) {
       clearInterval(timeoutInterval);
       killProcess(claudeProcess.pid);
-      ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n\n⏱️ Timeout efter 10 minutter.\n` }));
-      state.claudeProcess = null;
+      emitClaudeOutput(project, `\n\n⏱️ Timeout efter 10 minutter.\n`, taskCommand);
+      taskCommand.timedOut = true;
+      finishTaskCommand(project, taskId, taskCommand, null);
+      if (state.claudeProcess?.process === claudeProcess) {
+        state.claudeProcess = null;
+      }
     }
   }, 1000);
 
   // Store process so we can stop it
-  state.claudeProcess = { pid: claudeProcess.pid, process: claudeProcess, interval: timeoutInterval };
+  const commandIndex = task ? task.commands.indexOf(taskCommand) : -1;
+  state.claudeProcess = { pid: claudeProcess.pid, process: claudeProcess, interval: timeoutInterval, taskId, taskCommand, commandIndex };
 }
 
-function processNextInQueue(project, ws) {
+function processNextInQueue(project) {
   const state = getProjectState(project);
 
-  if (state.commandQueue.length === 0) {
+  // The last command taken from the queue has finished
+  if (state.commandQueue.length === 0 && state.queueRunCount > 0 && !state.claudeProcess) {
+    notifyCompletion(project, 'queue-drained', { commandCount: state.queueRunCount });
+    state.queueRunCount = 0;
+  }
+
+  // Paused queues wait for resume; after a restart the queue waits for "START CLAUDE"
+  if (state.commandQueue.length === 0 || state.queuePaused || !state.claudeReady || state.claudeProcess) {
     return;
   }
 
   const nextCommand = state.commandQueue.shift();
-  const targetWs = state.currentWs || ws;
+  state.queueRunCount++;
+
+  emitClaudeOutput(project, `\n📋 Kører næste kommando fra kø (${state.commandQueue.length} tilbage)...\n`, nextCommand.options?.taskCommand);
+  queueChanged(project);
 
-  targetWs.send(JSON.stringify({ type: 'claude-output', project, data: `\n📋 Kører næste kommando fra kø (${state.commandQueue.length} tilbage)...\n` }));
-  targetWs.send(JSON.stringify({ type: 'queue-update', project, queue: state.commandQueue.map(q => q.command.substring(0, 50)) }));
+  // Hold the slot during the delay so new commands queue behind this one instead of starting beside it
+  const taskCommand = nextCommand.options?.taskCommand;
+  const reserved = { pid: null, process: null, interval: null, taskId: nextCommand.options?.taskId ?? null, taskCommand };
+  state.claudeProcess = reserved;
 
   // Small delay before starting next command
   setTimeout(() => {
-    sendCommand(nextCommand.command, nextCommand.files, project, targetWs, true);
+    if (state.claudeProcess !== reserved) {
+      // Stopped before it started
+      finishTaskCommand(project, Number(nextCommand.options?.taskId), taskCommand, null);
+      processNextInQueue(project);
+      return;
+    }
+    state.claudeProcess = null;
+    sendCommand(nextCommand.command, nextCommand.files, project, true, nextCommand.options);
   }, 500);
 }
 
-function stopClaude(project, ws) {
+function stopClaude(project) {
   const state = getProjectState(project);
 
   if (state.claudeProcess) {
+    if (state.claudeProcess.taskCommand) state.claudeProcess.taskCommand.cancelled = true;
     // Stop the polling interval
     if (state.claudeProcess.interval) {
       clearInterval(state.claudeProcess.interval);
@@ -641,21 +3500,30 @@ function stopClaude(project, ws) {
   }
   // Clear the command queue
   const queuedCount = state.commandQueue.length;
+  state.commandQueue.forEach(q => {
+    if (q.options?.taskCommand) q.options.taskCommand.cancelled = true;
+    finishTaskCommand(project, Number(q.options?.taskId), q.options?.taskCommand, null);
+  });
   state.commandQueue.length = 0;
-  state.currentWs = null;
+  state.queueRunCount = 0;
   if (queuedCount > 0) {
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: `\n🗑️ ${queuedCount} kommando(er) fjernet fra kø.\n` }));
+    broadcast(project, { type: 'claude-output', project, data: `\n🗑️ ${queuedCount} kommando(er) fjernet fra kø.\n` });
   }
-  ws.send(JSON.stringify({ type: 'queue-update', project, queue: [] }));
-  ws.send(JSON.stringify({ type: 'claude-output', project, data: '\n\n🛑 Claude session stoppet.\n' }));
-  ws.send(JSON.stringify({ type: 'claude-stopped', project }));
+  queueChanged(project);
+  broadcast(project, { type: 'claude-output', project, data: '\n\n🛑 Claude session stoppet.\n' });
+  broadcast(project, { type: 'claude-stopped', project });
   state.claudeReady = false;
+  if (state.fileWatcher && !state.netlifyProcess) {
+    state.fileWatcher.close();
+    state.fileWatcher = null;
+  }
 }
 
-function stopCurrentCommand(project, ws) {
+function stopCurrentCommand(project) {
   const state = getProjectState(project);
 
   if (state.claudeProcess) {
+    if (state.claudeProcess.taskCommand) state.claudeProcess.taskCommand.cancelled = true;
     // Stop the polling interval
     if (state.claudeProcess.interval) {
       clearInterval(state.claudeProcess.interval);
@@ -668,7 +3536,7 @@ function stopCurrentCommand(project, ws) {
       state.claudeProcess.process.kill();
     }
     state.claudeProcess = null;
-    ws.send(JSON.stringify({ type: 'claude-output', project, data: '\n\n⬛ Kommando stoppet.\n' }));
+    broadcast(project, { type: 'claude-output', project, data: '\n\n⬛ Kommando stoppet.\n' });
   }
 }
 
@@ -683,10 +3551,10 @@ async function killProcessOnPort(port) {
         try { execSync(`taskkill /PID ${pid} /F`, { stdio: 'ignore' }); } catch (e) {}
       });
     } else {
-      // Unix: use lsof
-      const pids = execSync(`lsof -ti :${port} 2>/dev/null`, { encoding: 'utf8' }).trim();
+      // Unix: use lsof - only the listener, not clients such as our own readiness probe
+      const pids = execSync(`lsof -ti tcp:${port} -sTCP:LISTEN 2>/dev/null`, { encoding: 'utf8' }).trim();
       if (pids) {
-        pids.split('\n').filter(p => p).forEach(pid => {
+        pids.split('\n').filter(p => p && parseInt(p) !== process.pid).forEach(pid => {
           try { process.kill(parseInt(pid), 'SIGKILL'); } catch (e) {}
         });
       }
@@ -697,8 +3565,8 @@ async function killProcessOnPort(port) {
   await new Promise(r => setTimeout(r, 200));
 }
 
-// Detect port from dev server output and send to client
-function detectAndSendPort(output, project, ws) {
+// Detect the port a dev server reports in its output (the probe then checks it)
+function detectDevPort(output, project) {
   const state = getProjectState(project);
 
   // Skip "waiting for" messages - they mention ports but aren't ready yet
@@ -732,19 +3600,14 @@ function detectAndSendPort(output, project, ws) {
 
       console.log('Detected port:', port, 'type:', type, 'for project:', project);
 
-      // Determine if this is a Netlify proxy port or a dev server port
+      // Determine if this is a Netlify proxy port or a dev server port - the probe sends the
+      // preview URL once something answers there
       if (port === '8888' || portNum >= 8880) {
         // Netlify proxy port
         state.netlifyPort = port;
-        console.log('Sending Netlify preview-url:', port, 'for:', project);
-        ws.send(JSON.stringify({ type: 'preview-url', project, url: `http://localhost:${port}` }));
-      } else {
+      } else if (!state.vitePort || type === 'vite-ready' || type === 'confirmed-ready') {
         // Vite/dev server port
-        if (!state.vitePort || type === 'vite-ready' || type === 'confirmed-ready') {
-          state.vitePort = port;
-          console.log('Sending Vite preview-url:', port, 'for:', project);
-          ws.send(JSON.stringify({ type: 'preview-url', project, url: `http://localhost:${port}` }));
-        }
+        state.vitePort = port;
       }
       break; // Only process the first matching pattern
     }
@@ -798,80 +3661,139 @@ function detectDevCommand(projectPath) {
   return null;
 }
 
-async function startNetlify(project, ws) {
+// Vite (directly, or as the whole dev script) accepts --base - other dev servers are proxied without the prefix
+function isViteDevCommand(devCommand, projectPath) {
+  if (devCommand.type === 'vite') return true;
+  if (!devCommand.type.endsWith('-dev')) return false;
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+    return /^(npx\s+)?vite(\s|$)/.test(packageJson.scripts.dev.trim());
+  } catch (e) {
+    return false;
+  }
+}
+
+// Dev command from the manifest (a command line, or Netlify Dev) - null leaves it to detectDevCommand
+function manifestDevCommand(manifest) {
+  const dev = manifest?.dev;
+  if (dev?.command) {
+    return { cmd: dev.command, args: dev.args || [], type: 'manifest' };
+  }
+  if (dev?.netlify) {
+    return { cmd: 'npx', args: ['netlify', 'dev', '--no-open'], type: 'netlify' };
+  }
+  return null;
+}
+
+// Quote an argument for the shell exec() starts (cmd.exe on Windows)
+function shellQuote(arg) {
+  const value = String(arg);
+  if (/^[\w@%+=:,./-]+$/.test(value)) return value;
+  return isWindows ? `"${value.replace(/"/g, '""')}"` : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// Install dependencies with the project's package manager, output to the dev log. A project has at most
+// one install running - the dev server and a newly created project share it.
+function installDependencies(project) {
+  const state = getProjectState(project);
+  if (!state.dependencyInstall) {
+    state.dependencyInstall = runDependencyInstall(project).finally(() => {
+      state.dependencyInstall = null;
+    });
+  }
+  return state.dependencyInstall;
+}
+
+function runDependencyInstall(project) {
+  const projectPath = getProjectPath(project);
+  devOutput(project, '📦 node_modules mangler - installerer dependencies...\n');
+
+  // Check which package manager to use (use npx for pnpm/yarn if not globally installed)
+  const hasPnpmLock = fs.existsSync(path.join(projectPath, 'pnpm-lock.yaml'));
+  const hasYarnLock = fs.existsSync(path.join(projectPath, 'yarn.lock'));
+  const installCmd = hasPnpmLock ? 'npx pnpm' : (hasYarnLock ? 'npx yarn' : 'npm');
+
+  devOutput(project, `🔧 Kører ${installCmd} install...\n`);
+
+  return new Promise((resolve, reject) => {
+    const installProcess = exec(`${installCmd} install`, {
+      cwd: projectPath,
+      maxBuffer: 50 * 1024 * 1024
+    });
+
+    installProcess.stdout.on('data', (data) => {
+      devOutput(project, data.toString());
+    });
+
+    installProcess.stderr.on('data', (data) => {
+      devOutput(project, data.toString());
+    });
+
+    installProcess.on('close', (code) => {
+      if (code === 0) {
+        devOutput(project, '✅ Dependencies installeret!\n\n');
+        resolve();
+      } else {
+        devOutput(project, `❌ Installation fejlede (kode: ${code})\n`);
+        reject(new Error(`Install failed with code ${code}`));
+      }
+    });
+
+    installProcess.on('error', (err) => {
+      devOutput(project, `❌ Installationsfejl: ${err.message}\n`);
+      reject(err);
+    });
+  });
+}
+
+async function startNetlify(project, { restart = false } = {}) {
   console.log('startNetlify called for:', project);
   const state = getProjectState(project);
 
+  // A manual start replaces a pending restart and gets a full restart budget
+  clearTimeout(state.devRestartTimer);
+  state.devRestartTimer = null;
+  if (!restart) state.devRestarts = 0;
+  stopDevProbe(state);
+
   // Stop existing process for this project
   if (state.netlifyProcess) {
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: '\n⚠️ Stopper eksisterende dev server...\n' }));
-    state.netlifyProcess.kill('SIGTERM');
+    devOutput(project, '\n⚠️ Stopper eksisterende dev server...\n');
+    const previous = state.netlifyProcess;
     state.netlifyProcess = null;
+    previous.kill('SIGTERM');
     state.vitePort = null;
     state.netlifyPort = null;
     await new Promise(r => setTimeout(r, 1000));
   }
 
-  const projectPath = path.join(getProjectsPath(), project);
+  const projectPath = getProjectPath(project);
   console.log('Project path:', projectPath);
 
-  // Detect what type of project this is
-  const devCommand = detectDevCommand(projectPath);
+  // The manifest decides if present, otherwise detect what type of project this is
+  const manifest = getProjectManifest(project);
+  const devCommand = manifestDevCommand(manifest) || detectDevCommand(projectPath);
   console.log('Dev command:', devCommand);
 
+  state.devType = devCommand?.type || null;
   if (!devCommand) {
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: '⚠️ Kunne ikke finde dev kommando (ingen netlify.toml, vite.config, eller package.json scripts)\n' }));
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: '💡 Prøv at åbne projektet manuelt med: cd ' + projectPath + ' && npm run dev\n' }));
+    devOutput(project, '⚠️ Kunne ikke finde dev kommando (ingen netlify.toml, vite.config, eller package.json scripts)\n');
+    devOutput(project, '💡 Prøv at åbne projektet manuelt med: cd ' + projectPath + ' && npm run dev\n');
+    state.devHealth = null;
+    broadcast(project, { type: 'dev-unhealthy', project, reason: 'no-command', message: 'Ingen dev kommando fundet' });
     return;
   }
 
-  // Check if node_modules exists, if not install dependencies
+  // Check if node_modules exists, if not install dependencies (or wait for an install already running)
   const nodeModulesPath = path.join(projectPath, 'node_modules');
   const hasNodeModules = fs.existsSync(nodeModulesPath);
   console.log('node_modules path:', nodeModulesPath, 'exists:', hasNodeModules);
 
-  if (!hasNodeModules) {
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: '📦 node_modules mangler - installerer dependencies...\n' }));
-
-    // Check which package manager to use (use npx for pnpm/yarn if not globally installed)
-    const hasPnpmLock = fs.existsSync(path.join(projectPath, 'pnpm-lock.yaml'));
-    const hasYarnLock = fs.existsSync(path.join(projectPath, 'yarn.lock'));
-    const installCmd = hasPnpmLock ? 'npx pnpm' : (hasYarnLock ? 'npx yarn' : 'npm');
-
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: `🔧 Kører ${installCmd} install...\n` }));
-
+  if (!hasNodeModules || state.dependencyInstall) {
     try {
-      await new Promise((resolve, reject) => {
-        const installProcess = exec(`${installCmd} install`, {
-          cwd: projectPath,
-          maxBuffer: 50 * 1024 * 1024
-        });
-
-        installProcess.stdout.on('data', (data) => {
-          ws.send(JSON.stringify({ type: 'netlify-output', project, data: data.toString() }));
-        });
-
-        installProcess.stderr.on('data', (data) => {
-          ws.send(JSON.stringify({ type: 'netlify-output', project, data: data.toString() }));
-        });
-
-        installProcess.on('close', (code) => {
-          if (code === 0) {
-            ws.send(JSON.stringify({ type: 'netlify-output', project, data: '✅ Dependencies installeret!\n\n' }));
-            resolve();
-          } else {
-            ws.send(JSON.stringify({ type: 'netlify-output', project, data: `❌ Installation fejlede (kode: ${code})\n` }));
-            reject(new Error(`Install failed with code ${code}`));
-          }
-        });
-
-        installProcess.on('error', (err) => {
-          ws.send(JSON.stringify({ type: 'netlify-output', project, data: `❌ Installationsfejl: ${err.message}\n` }));
-          reject(err);
-        });
-      });
+      await installDependencies(project);
     } catch (err) {
-      ws.send(JSON.stringify({ type: 'netlify-output', project, data: `⚠️ Fortsætter uden dependencies...\n` }));
+      devOutput(project, `⚠️ Fortsætter uden dependencies...\n`);
     }
   }
 
@@ -883,7 +3805,8 @@ async function startNetlify(project, ws) {
     'pnpm-dev': '📦 pnpm run dev',
     'pnpm-start': '📦 pnpm start',
     'yarn-dev': '📦 yarn dev',
-    'yarn-start': '📦 yarn start'
+    'yarn-start': '📦 yarn start',
+    'manifest': `📄 ${MANIFEST_FILE}`
   };
 
   // Get or assign a fixed port for this project
@@ -894,94 +3817,344 @@ async function startNetlify(project, ws) {
   // Kill any process that might be using this port
   await killProcessOnPort(assignedPort);
 
-  // Build command with port argument
-  let cmdLine = `${devCommand.cmd} ${devCommand.args.join(' ')}`;
+  // Build command with port argument. dev.command is a command line; args are quoted so each stays one argument
+  const args = [...devCommand.args];
 
   // Add --port flag for vite/npm dev commands
   // For npm/pnpm run dev, we need to pass the port to the underlying script
-  if (devCommand.type === 'vite') {
+  // A manifest command only gets the port through dev.portArgs or dev.portEnv
+  // Vite serves the app under its preview proxy path (a manifest opts in with {base} in dev.portArgs),
+  // so the same URLs work directly and through /preview/<project>/
+  const dev = manifest?.dev || {};
+  const base = previewBasePath(project);
+  state.previewBase = null;
+  if (dev.portArgs) {
+    if (dev.portArgs.some(arg => arg.includes('{base}'))) state.previewBase = base;
+    args.push(...dev.portArgs.map(arg => arg.replace(/\{port\}/g, assignedPort).replace(/\{base\}/g, base)));
+  } else if (devCommand.type === 'vite') {
     // Direct vite command
-    cmdLine += ` --port ${assignedPort}`;
+    state.previewBase = base;
+    args.push('--port', String(assignedPort), '--base', base);
   } else if (devCommand.type.includes('dev')) {
     // npm/pnpm/yarn run dev - pass through with --
-    cmdLine += ` -- --port ${assignedPort}`;
+    if (isViteDevCommand(devCommand, projectPath)) state.previewBase = base;
+    args.push('--', '--port', String(assignedPort), ...(state.previewBase ? ['--base', base] : []));
   }
+  const cmdLine = [devCommand.cmd, ...args.map(shellQuote)].join(' ');
 
   const label = typeLabels[devCommand.type] || `📦 ${devCommand.type}`;
-  ws.send(JSON.stringify({ type: 'netlify-output', project, data: `\n${label} starter i ${project}...\n` }));
-  ws.send(JSON.stringify({ type: 'netlify-output', project, data: `Kommando: ${cmdLine}\n` }));
-  ws.send(JSON.stringify({ type: 'netlify-output', project, data: `🔌 Port: ${assignedPort}\n\n` }));
+  devOutput(project, `\n${label} starter i ${project}...\n`);
+  devOutput(project, `Kommando: ${cmdLine}\n`);
+  devOutput(project, `🔌 Port: ${assignedPort}\n\n`);
   console.log('Running command:', cmdLine, 'in', projectPath);
 
-  // Send preview URL immediately with assigned port
-  ws.send(JSON.stringify({ type: 'preview-url', project, url: `http://localhost:${assignedPort}` }));
-
-  state.netlifyProcess = exec(cmdLine, {
+  // The preview URL is sent once the HTTP probe gets an answer
+  const child = exec(cmdLine, {
     cwd: projectPath,
     maxBuffer: 50 * 1024 * 1024,
-    env: { ...process.env, FORCE_COLOR: '1', BROWSER: 'none' }
+    env: { ...process.env, FORCE_COLOR: '1', BROWSER: 'none', ...dev.env, ...(dev.portEnv ? { [dev.portEnv]: String(assignedPort) } : {}) }
   });
 
-  if (!state.netlifyProcess) {
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: `\n❌ Kunne ikke starte dev server\n` }));
+  if (!child) {
+    devOutput(project, `\n❌ Kunne ikke starte dev server\n`);
     return;
   }
+  state.netlifyProcess = child;
 
-  state.netlifyProcess.stdout.on('data', (data) => {
+  child.stdout.on('data', (data) => {
     const output = data.toString();
     console.log('Dev server stdout:', output.substring(0, 100));
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: output }));
+    devOutput(project, output);
 
     // Detect ports from various patterns
-    detectAndSendPort(output, project, ws);
+    detectDevPort(output, project);
   });
 
-  state.netlifyProcess.stderr.on('data', (data) => {
+  child.stderr.on('data', (data) => {
     const output = data.toString();
     console.log('Dev server stderr:', output.substring(0, 100));
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: output }));
+    devOutput(project, output);
 
     // Detect ports from various patterns
-    detectAndSendPort(output, project, ws);
+    detectDevPort(output, project);
   });
 
-  state.netlifyProcess.on('error', (err) => {
+  child.on('error', (err) => {
     console.log('Dev server process error:', err.message);
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: `\n❌ Dev server fejl: ${err.message}\n` }));
+    devOutput(project, `\n❌ Dev server fejl: ${err.message}\n`);
   });
 
-  state.netlifyProcess.on('close', (code) => {
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: `\n\n📋 Dev server afsluttet med kode ${code}\n` }));
-    ws.send(JSON.stringify({ type: 'netlify-stopped', project }));
+  child.on('close', (code) => {
+    // Stopped or replaced on purpose - stopNetlify/startNetlify already cleaned up
+    if (state.netlifyProcess !== child) return;
+    devOutput(project, `\n\n📋 Dev server afsluttet med kode ${code}\n`);
     state.netlifyProcess = null;
     state.vitePort = null;
     state.netlifyPort = null;
+    stopDevProbe(state);
+    handleDevExit(project, code);
   });
 
-  ws.send(JSON.stringify({ type: 'netlify-started', project }));
+  broadcast(project, { type: 'netlify-started', project });
+  startDevProbe(project, child);
 
   // Start file watcher for auto-refresh
   startFileWatcher(project);
 }
 
-function stopNetlify(project, ws) {
+function stopNetlify(project) {
   const state = getProjectState(project);
 
-  if (state.fileWatcher) {
+  // Claude still needs the watcher to attribute file changes
+  if (state.fileWatcher && !state.claudeReady) {
     state.fileWatcher.close();
     state.fileWatcher = null;
   }
 
+  stopDevProbe(state);
+  state.devHealth = null;
+  const restartPending = !!state.devRestartTimer;
+  clearTimeout(state.devRestartTimer);
+  state.devRestartTimer = null;
+
   if (state.netlifyProcess) {
-    state.netlifyProcess.kill('SIGTERM');
+    const child = state.netlifyProcess;
     state.netlifyProcess = null;
+    child.kill('SIGTERM');
     state.vitePort = null;
     state.netlifyPort = null;
-    ws.send(JSON.stringify({ type: 'netlify-output', project, data: '\n\n🛑 Dev server stoppet.\n' }));
-    ws.send(JSON.stringify({ type: 'netlify-stopped', project }));
+    devOutput(project, '\n\n🛑 Dev server stoppet.\n');
+    broadcast(project, { type: 'netlify-stopped', project });
+  } else if (restartPending) {
+    devOutput(project, '\n\n🛑 Genstart annulleret.\n');
+    broadcast(project, { type: 'netlify-stopped', project });
+  }
+}
+
+// Dev server log: a bounded buffer per project (GET /api/projects/:project/dev-log), scanned for
+// compiler and runtime errors that the UI lists and can attach to a Claude prompt
+const DEV_LOG_LIMIT = 256 * 1024;
+const DEV_ERROR_LIMIT = 50;
+const DEV_ERROR_MAX_LINES = 40;
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]|\x1b\][^\x07]*\x07/g;
+
+// First line of an error block, by kind. Indented lines after it (stack frames, code frames,
+// Vite's "File:"/"Plugin:" details) belong to the same error.
+const DEV_ERROR_PATTERNS = [
+  ['vite', /\[vite\].*\berror\b|\[plugin:[^\]]+\]|Failed to resolve import|Pre-transform error/i],
+  ['esbuild', /[✘X] \[ERROR\]/],
+  ['typescript', /error TS\d+:|ERROR\(TypeScript\)/],
+  ['runtime', /^\s*(?:Uncaught )?[A-Z]?\w*(?:Error|Exception)(?::|\s*$)|UnhandledPromiseRejection/]
+];
+const SOURCE_LOCATION_PATTERN = /((?:[A-Za-z]:)?[\w./\\@~-]+\.(?:[cm]?[jt]sx?|vue|svelte|astro|css|scss|less|html|json))(?:[:(](\d+)(?:[:,](\d+))?\)?)?/g;
+
+// Append dev server output to the project's log and send it to its clients
+function devOutput(project, data) {
+  const state = getProjectState(project);
+  state.devLog.push(data);
+  state.devLogSize += data.length;
+  while (state.devLogSize > DEV_LOG_LIMIT && state.devLog.length > 1) {
+    state.devLogSize -= state.devLog.shift().length;
+    state.devLogTruncated = true;
+  }
+  broadcast(project, { type: 'netlify-output', project, data });
+  scanDevErrors(project, data);
+}
+
+function scanDevErrors(project, data) {
+  const scan = getProjectState(project).devScan;
+  clearTimeout(scan.timer);
+  const lines = (scan.partial + data.replace(ANSI_PATTERN, '')).split(/\r?\n/);
+  scan.partial = lines.pop();
+
+  for (const line of lines) {
+    const kind = DEV_ERROR_PATTERNS.find(([, pattern]) => pattern.test(line))?.[0];
+    if (kind) {
+      flushDevError(project);
+      scan.block = { kind, lines: [line] };
+    } else if (scan.block && /^\s+\S/.test(line) && scan.block.lines.length < DEV_ERROR_MAX_LINES) {
+      scan.block.lines.push(line);
+    } else {
+      flushDevError(project);
+    }
+  }
+  // The block may go on in the next chunk
+  if (scan.block) {
+    scan.timer = setTimeout(() => flushDevError(project), 300);
+  }
+}
+
+// Source file of an error, relative to the project - the first location outside node_modules,
+// preferably one with a line number
+function findErrorLocation(project, text) {
+  const projectPath = getProjectPath(project);
+  const locations = [...text.matchAll(SOURCE_LOCATION_PATTERN)]
+    .filter(([, file]) => !file.includes('node_modules') && !file.startsWith('node:'));
+  const match = locations.find(([, , line]) => line) || locations[0];
+  if (!match) return null;
+  const [, file, line, column] = match;
+  const relative = path.isAbsolute(file) && file.startsWith(projectPath) ? path.relative(projectPath, file) : file;
+  return [relative, line, column].filter(Boolean).join(':');
+}
+
+function flushDevError(project) {
+  const state = getProjectState(project);
+  const { block } = state.devScan;
+  if (!block) return;
+  state.devScan.block = null;
+
+  const text = block.lines.join('\n').trimEnd();
+  // Without the log timestamp, so a repeated error is recognised
+  const message = block.lines[0].trim().replace(/^\d{1,2}:\d{2}:\d{2}(?:\s?[AP]M)?\s+/i, '').slice(0, 300);
+  const file = findErrorLocation(project, text);
+
+  // The same error again (e.g. on every HMR update) only bumps the count
+  let error = state.devErrors.find(e => e.message === message && e.file === file);
+  if (error) {
+    error.count++;
+    error.time = Date.now();
+    error.text = text;
+  } else {
+    error = { id: ++state.devErrorSeq, kind: block.kind, message, file, text, count: 1, time: Date.now() };
+    state.devErrors.push(error);
+    if (state.devErrors.length > DEV_ERROR_LIMIT) state.devErrors.shift();
+  }
+  broadcast(project, { type: 'dev-error', project, error });
+}
+
+function clearDevLog(project) {
+  const state = getProjectState(project);
+  state.devLog = [];
+  state.devLogSize = 0;
+  state.devLogTruncated = false;
+  state.devErrors = [];
+  clearTimeout(state.devScan.timer);
+  state.devScan = { partial: '', block: null, timer: null };
+  broadcast(project, { type: 'dev-log-cleared', project });
+}
+
+// Dev server supervision: readiness comes from an HTTP probe against the preview port, not from
+// log lines, and a dev server that crashes is restarted with backoff (manifest dev.restart)
+const DEV_PROBE_INTERVAL = 1000;
+const DEV_HEALTH_INTERVAL = 5000; // Once ready
+const DEV_PROBE_TIMEOUT = 2000;
+const DEV_START_TIMEOUT = 60000; // Reported as unhealthy after this, but probing goes on
+const DEV_UNHEALTHY_AFTER = 3; // Failed probes in a row before a ready server is unhealthy
+const DEV_STABLE_AFTER = 60000; // Ready this long - a later crash gets a full restart budget
+const DEV_RESTART_DEFAULTS = { maxAttempts: 5, delayMs: 1000, maxDelayMs: 30000 };
+
+// Any HTTP answer counts - a 404 or 500 still means the server is up
+function probeDevServer(port, probePath) {
+  return new Promise(resolve => {
+    const req = http.get({ host: 'localhost', port, path: probePath, timeout: DEV_PROBE_TIMEOUT, agent: false }, (res) => {
+      res.resume();
+      resolve(true);
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(false));
+  });
+}
+
+// The app on the dev server itself - the preview proxy serves the same app at /preview/<project>/
+function devServerUrl(state, port) {
+  return `http://localhost:${port}${state.previewBase || ''}`;
+}
+
+// Netlify Dev's own port is only known from its output; other servers answer on the assigned port
+function getDevProbePort(state) {
+  return state.devType === 'netlify' ? state.netlifyPort : state.netlifyPort || state.vitePort;
+}
+
+function startDevProbe(project, child) {
+  const state = getProjectState(project);
+  const startedAt = Date.now();
+  let failures = 0;
+  let readyPort = null;
+  state.devHealth = 'starting';
+  state.devReadyAt = null;
+
+  const tick = async () => {
+    const port = getDevProbePort(state);
+    const ok = port ? await probeDevServer(port, state.previewBase || '/') : false;
+    if (state.netlifyProcess !== child) return;
+
+    if (ok) {
+      failures = 0;
+      // A port found in the output later (Netlify, or Vite moving to a free port) is announced again
+      if (state.devHealth !== 'ready' || port !== readyPort) {
+        if (state.devHealth !== 'ready') state.devReadyAt = Date.now();
+        state.devHealth = 'ready';
+        readyPort = port;
+        const url = devServerUrl(state, port);
+        broadcast(project, { type: 'preview-url', project, url, base: state.previewBase });
+        broadcast(project, { type: 'dev-ready', project, url, port: Number(port) });
+      }
+    } else if (state.devHealth === 'ready' && ++failures >= DEV_UNHEALTHY_AFTER) {
+      setDevUnhealthy(project, 'not-responding', `Dev serveren svarer ikke på port ${port}`);
+    } else if (state.devHealth === 'starting' && Date.now() - startedAt > DEV_START_TIMEOUT) {
+      setDevUnhealthy(project, 'timeout', `Dev serveren svarer ikke efter ${DEV_START_TIMEOUT / 1000} sekunder`);
+    }
+    state.devProbeTimer = setTimeout(tick, state.devHealth === 'ready' ? DEV_HEALTH_INTERVAL : DEV_PROBE_INTERVAL);
+  };
+  state.devProbeTimer = setTimeout(tick, DEV_PROBE_INTERVAL);
+}
+
+function stopDevProbe(state) {
+  clearTimeout(state.devProbeTimer);
+  state.devProbeTimer = null;
+}
+
+function setDevUnhealthy(project, reason, message, extra = {}) {
+  const state = getProjectState(project);
+  state.devHealth = reason === 'crashed' ? 'crashed' : 'unhealthy';
+  devOutput(project, `\n⚠️ ${message}\n`);
+  broadcast(project, { type: 'dev-unhealthy', project, reason, message, ...extra });
+}
+
+// dev.restart in the manifest: false turns restarts off, an object overrides the defaults
+function getDevRestartPolicy(project) {
+  const restart = getProjectManifest(project)?.dev?.restart;
+  if (restart === false) return null;
+  return { ...DEV_RESTART_DEFAULTS, ...(typeof restart === 'object' ? restart : {}) };
+}
+
+// The dev server exited by itself - restart it unless it exited cleanly or ran out of attempts
+function handleDevExit(project, code) {
+  const state = getProjectState(project);
+  if (code === 0) {
+    state.devHealth = null;
+    broadcast(project, { type: 'netlify-stopped', project });
+    return;
+  }
+
+  const policy = getDevRestartPolicy(project);
+  if (state.devReadyAt && Date.now() - state.devReadyAt > DEV_STABLE_AFTER) {
+    state.devRestarts = 0;
   }
+  if (!policy || state.devRestarts >= policy.maxAttempts) {
+    const message = policy
+      ? `Dev serveren crashede (kode ${code}) - giver op efter ${policy.maxAttempts} genstarter`
+      : `Dev serveren crashede (kode ${code})`;
+    setDevUnhealthy(project, 'crashed', message);
+    broadcast(project, { type: 'netlify-stopped', project });
+    return;
+  }
+
+  const delayMs = Math.min(policy.delayMs * 2 ** state.devRestarts, policy.maxDelayMs);
+  state.devRestarts++;
+  setDevUnhealthy(project, 'crashed', `Dev serveren crashede (kode ${code}) - genstarter om ${delayMs / 1000}s (forsøg ${state.devRestarts}/${policy.maxAttempts})`, {
+    restartInMs: delayMs,
+    attempt: state.devRestarts,
+    maxAttempts: policy.maxAttempts
+  });
+  state.devRestartTimer = setTimeout(() => {
+    state.devRestartTimer = null;
+    startNetlify(project, { restart: true });
+  }, delayMs);
 }
 
-server.listen(PORT, () => {
-  console.log(`\n🎨 Sunkez Claude Editor kører på http://localhost:${PORT}\n`);
+server.listen(PORT, HOST, () => {
+  const url = `http://${HOST === '0.0.0.0' || HOST === '::' ? 'localhost' : HOST}:${PORT}`;
+  console.log(`\n🎨 Sunkez Claude Editor kører på ${url}`);
+  console.log(`🔑 Log ind med: ${url}/login.html#token=${config.auth.token}\n`);
 });
@@ -0,0 +1,4 @@
+export default async (request) => {
+  const name = new URL(request.url).searchParams.get('name') || 'verden';
+  return Response.json({ message: `Hej ${name}!` });
+};
@@ -0,0 +1,10 @@
+const message = document.getElementById('message');
+
+fetch('/.netlify/functions/hello')
+  .then(response => response.json())
+  .then(data => {
+    message.textContent = data.message;
+  })
+  .catch(error => {
+    message.textContent = `Funktionen svarede ikke: ${error.message}`;
+  });
@@ -0,0 +1,12 @@
+import { useState } from 'react';
+
+export default function App() {
+  const [count, setCount] = useState(0);
+
+  return (
+    <main>
+      <h1>{{projectName}}</h1>
+      <button onClick={() => setCount(count + 1)}>Klikket {count} gange</button>
+    </main>
+  );
+}
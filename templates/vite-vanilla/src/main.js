@@ -0,0 +1,6 @@
+import './style.css';
+
+const app = document.getElementById('app');
+const paragraph = document.createElement('p');
+paragraph.textContent = 'Klar til at bygge.';
+app.appendChild(paragraph);